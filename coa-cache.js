@@ -0,0 +1,130 @@
+// COA document cache — fetched COAs on disk, keyed by URL and by content hash (ESM)
+//
+//   const cache = createCoaCache({ dir, ttlMs, offline });
+//   const doc = await cache.get(url, fetcher, { offline })
+//       → { type, buffer, contentType, url, hash, cache: 'miss'|'hit'|'revalidated'|'updated'|'stale'|'offline', fetchedAt }
+//   const text = await cache.text(doc, extract)   extracted once per content hash
+//   cache.put(buffer)                             → hash (documents that didn't come from a URL, e.g. uploads)
+//   cache.byHash(hash) / cache.lookup(url)        → doc | null, from disk only
+//
+// `fetcher(url, headers)` returns a fetch Response; `headers` carries If-None-Match / If-Modified-Since when the
+// entry has an ETag / Last-Modified. Entries younger than `ttlMs` are served without asking; older ones are
+// revalidated (304 keeps the copy). When the origin fails or the COA is gone, the last good copy is served
+// (`cache: 'stale'`). Offline (the option, or `offline` per call) never touches the network and throws
+// `code: 'offline_miss'` for uncached URLs. An uncached URL the origin answers with an error throws
+// `code: 'http_error'` with its `status`.
+//
+// Layout under `dir`: blobs/<sha256> (one copy per distinct document), text/<sha256>.txt,
+// urls/<sha1(url)>.json ({ url, hash, type, contentType, etag, lastModified, fetchedAt, checkedAt }).
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { writeFileAtomic } from './storage.js';
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+const urlKey = (url) => crypto.createHash('sha1').update(String(url)).digest('hex');
+const isPdf = (buf, contentType) => /application\/pdf/i.test(contentType || '') || buf.subarray(0, 5).toString('latin1') === '%PDF-';
+
+async function readOrNull(file, encoding) {
+  try { return await fs.readFile(file, encoding); } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+export function createCoaCache({ dir, ttlMs = 24 * 60 * 60 * 1000, offline = false } = {}) {
+  const blobFile = (hash) => path.join(dir, 'blobs', hash);
+  const textFile = (hash) => path.join(dir, 'text', `${hash}.txt`);
+  const metaFile = (url) => path.join(dir, 'urls', `${urlKey(url)}.json`);
+  const inflight = new Map(); // url → Promise<doc>, so concurrent resolves of one COA share a download
+
+  async function writeIn(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await writeFileAtomic(file, data);
+  }
+
+  async function readMeta(url) {
+    const raw = await readOrNull(metaFile(url), 'utf8');
+    if (!raw) return null;
+    try { return JSON.parse(raw); } catch { return null; } // a torn entry is just a miss
+  }
+
+  async function put(buffer) {
+    const hash = sha256(buffer);
+    try { await fs.access(blobFile(hash)); } catch { await writeIn(blobFile(hash), buffer); }
+    return hash;
+  }
+
+  async function byHash(hash, meta = {}) {
+    if (!/^[0-9a-f]{64}$/.test(String(hash))) return null;
+    const buffer = await readOrNull(blobFile(hash));
+    if (!buffer) return null;
+    const contentType = meta.contentType || '';
+    return { type: meta.type || (isPdf(buffer, contentType) ? 'pdf' : 'html'), buffer, contentType, url: meta.url || null, hash, fetchedAt: meta.fetchedAt || null };
+  }
+
+  async function lookup(url) {
+    const meta = await readMeta(url);
+    return meta ? byHash(meta.hash, meta) : null;
+  }
+
+  async function refresh(url, fetcher, meta, cached) {
+    const headers = {};
+    if (cached && meta.etag) headers['If-None-Match'] = meta.etag;
+    if (cached && meta.lastModified) headers['If-Modified-Since'] = meta.lastModified;
+    const now = new Date().toISOString();
+    let resp;
+    try {
+      resp = await fetcher(url, headers);
+    } catch (e) {
+      if (cached) return { ...cached, cache: 'stale', error: String(e?.message || e) };
+      throw e;
+    }
+    if (resp.status === 304 && cached) {
+      await writeIn(metaFile(url), JSON.stringify({ ...meta, checkedAt: now })).catch((e) => console.warn('[coa-cache] not saved:', e?.message || e));
+      return { ...cached, cache: 'revalidated' };
+    }
+    if (!resp.ok) {
+      // the vendor took it down or is failing: the copy we have is still the COA
+      if (cached) return { ...cached, cache: 'stale', error: `HTTP ${resp.status}` };
+      throw Object.assign(new Error(`HTTP ${resp.status} fetching ${url}`), { code: 'http_error', status: resp.status });
+    }
+    const contentType = resp.headers.get('content-type') || '';
+    const buffer = Buffer.from(await resp.arrayBuffer());
+    const hash = sha256(buffer);
+    const type = isPdf(buffer, contentType) ? 'pdf' : 'html';
+    // a cache that can't be written still answers this request
+    await put(buffer).then(() => writeIn(metaFile(url), JSON.stringify({
+      url, hash, type, contentType,
+      etag: resp.headers.get('etag') || null,
+      lastModified: resp.headers.get('last-modified') || null,
+      fetchedAt: now, checkedAt: now,
+    }))).catch((e) => console.warn('[coa-cache] not saved:', e?.message || e));
+    return { type, buffer, contentType, url, hash, fetchedAt: now, cache: !cached ? 'miss' : cached.hash === hash ? 'revalidated' : 'updated' };
+  }
+
+  async function get(url, fetcher, { offline: offlineNow = offline } = {}) {
+    const meta = await readMeta(url);
+    const cached = meta && await byHash(meta.hash, meta);
+    if (offlineNow) {
+      if (cached) return { ...cached, cache: 'offline' };
+      throw Object.assign(new Error(`Not cached (offline): ${url}`), { code: 'offline_miss' });
+    }
+    if (cached && Date.now() - Date.parse(meta.checkedAt) < ttlMs) return { ...cached, cache: 'hit' };
+    if (!inflight.has(url)) inflight.set(url, refresh(url, fetcher, meta, cached).finally(() => inflight.delete(url)));
+    return inflight.get(url);
+  }
+
+  /** Extracted text for a document, computed once per content hash */
+  async function text(doc, extract) {
+    const hash = doc.hash || sha256(doc.buffer);
+    const hit = await readOrNull(textFile(hash), 'utf8');
+    if (hit != null) return hit;
+    const out = String(await extract(doc) ?? '');
+    await writeIn(textFile(hash), out).catch((e) => console.warn('[coa-cache] text not saved:', e?.message || e));
+    return out;
+  }
+
+  return { dir, ttlMs, offline, get, text, put, byHash, lookup };
+}
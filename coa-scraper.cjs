@@ -2,97 +2,162 @@
 'use strict';
 
 /**
- * COA Scraper — minimal fields (top-3 terps + THC)
- * Returns:
- *   - strain: string | null
- *   - type: string | null                // NEW (Sativa | Indica | Hybrid, or product form)
- *   - dominantTerpene: string | null
- *   - otherTerpenes: string[]            // up to 2 others (top-3 total)
- *   - thc: { totalPercent: number|null } // "Total (Active) THC" or computed from THCa + Δ9
+ * COA Scraper — the single extraction engine used by every route
  *
- * Deps: npm i undici pdf-parse cheerio
+ * extractCoa(text, { sourceUrl }) returns one Field per value:
+ *   { value, confidence: 0..1, provenance: { line, rule, unit } }
+ *   - strain:   Field<string>
+ *   - type:     Field<string>              // Sativa | Indica | Hybrid, or product form
+ *   - lot / lab / testDate: Field<string> // batch or lot number, testing lab, ISO test date
+ *   - thc:      Field<number>              // total THC, percent (reported, else 0.877 × THCa + Δ9-THC)
+ *   - cbd:      Field<number>              // total CBD, percent (reported, else 0.877 × CBDa + CBD)
+ *   - cannabinoids: { thca, d9thc, cbd, cbda, cbg, cbga, cbn, thcv, cbc } → Field<number> (+ mgPerG)
+ *   - terpenes: Array<{ name, percent, confidence, provenance }>  // every row found, sorted by percent, desc
+ *   - totalTerpenes: Field<number>         // percent (reported, else sum of rows)
+ *
+ * parseCoa(url, { fetch }) / parseCoaText(text) keep the old flat shape:
+ *   - strain, type, dominantTerpene, otherTerpenes (top-3 total), thc: { totalPercent }
+ *   - terpeneProfile: [{ name, percent }] (all measured terpenes), totalTerpenes: number | null
+ *   - cannabinoids: cannabinoidPanel() view ({ totalThc, totalCbd, thca, ... } → { percent, mgPerG })
+ *   - fields: the extractCoa() result above
+ * parseCoa downloads through safe-fetch.js (public addresses only, every redirect re-checked, size and time capped)
+ * unless `fetch` hands it another client with the same (url) → Response contract.
+ *
+ * Deps: npm i pdf-parse cheerio
  * Usage: node coa-scraper.cjs "<COA URL>"
  */
 
-const { fetch } = require('undici');
 const pdfParse = require('pdf-parse');
 const cheerio  = require('cheerio');
 
 /* -------------------- Known terpenes & synonyms -------------------- */
+// Canonical display names (what we store on strains)
 const KNOWN_TERPENES = [
-  'myrcene','limonene','linalool','terpinolene','caryophyllene','humulene',
-  'alpha-pinene','beta-pinene','pinene','ocimene','farnesene','nerolidol',
-  'bisabolol','eucalyptol','camphene','borneol','caryophyllene-oxide','cedrol',
-  'guaiol','sabinene','terpineol','geraniol','isopulegol','pulegone','phytol','fenchyl alcohol'
+  'Myrcene','Limonene','Caryophyllene','Caryophyllene Oxide','Humulene','Linalool','Pinene','Alpha-Pinene',
+  'Beta-Pinene','Terpinolene','Ocimene','Farnesene','Bisabolol','Camphene','Geraniol','Eucalyptol','Nerolidol',
+  'Terpineol','Fenchol','Borneol','Isopulegol','Valencene','Guaiol','Cedrol','Sabinene','Pulegone','Phytol',
+  'Terpinene','Carene'
+];
+
+// Word stems that mark a line as a terpene row
+const TERP_STEMS = [
+  'caryophyllene','humulene','limonene','myrcene','linalool','terpinolene','pinene','ocimene','farnesene',
+  'bisabolol','terpineol','nerolidol','valencene','eucalyptol','cineole','geraniol','fenchol','fenchyl',
+  'borneol','isopulegol','camphene','guaiol','cedrol','sabinene','pulegone','phytol','terpinene','carene'
 ];
+const TERP_NAME_RE = new RegExp(
+  `([A-Za-zα-ωΑ-Ω()+,\\-\\s]{0,12}?)(${TERP_STEMS.join('|')})(\\s*oxide|\\s*alcohol)?`, 'i'
+);
 
-const SYN = Object.freeze({
-  'β-caryophyllene': 'caryophyllene',
-  'b-caryophyllene': 'caryophyllene',
-  'beta-caryophyllene': 'caryophyllene',
-  'caryophyllene oxide': 'caryophyllene-oxide',
-  'α-humulene': 'humulene',
-  'a-humulene': 'humulene',
-  'd-limonene': 'limonene',
-  '1,8-cineole': 'eucalyptol',
-  'α-pinene': 'alpha-pinene',
-  'a-pinene': 'alpha-pinene',
-  'β-pinene': 'beta-pinene',
-  'b-pinene': 'beta-pinene',
-  'trans-caryophyllene': 'caryophyllene',
-  'fenchol': 'fenchyl alcohol',
-  'β-myrcene': 'myrcene',
-  'b-myrcene': 'myrcene'
-});
+function canonTerp(name) {
+  if (!name) return null;
+  const n = String(name)
+    .replace(/α/gi, 'alpha-')
+    .replace(/β/gi, 'beta-')
+    .toLowerCase()
+    .replace(/[^a-z\- ()+\/,0-9]+/g, '');
+  if (n.includes('caryophyllene')) return /oxide/.test(n) ? 'Caryophyllene Oxide' : 'Caryophyllene';
+  if (/(?<!ter)pinene/.test(n)) { // not alpha-/gamma-terpinene
+    if (/\b(?:alpha|a)[-\s]*pinene|alpha/.test(n)) return 'Alpha-Pinene';
+    if (/\b(?:beta|b)[-\s]*pinene|beta/.test(n))   return 'Beta-Pinene';
+    return 'Pinene';
+  }
+  if (n.includes('terpinene')) return 'Terpinene';
+  if (n.includes('eucalyptol') || n.includes('cineole')) return 'Eucalyptol';
+  if (n.includes('fenchol') || n.includes('fenchyl'))    return 'Fenchol';
+  for (const t of KNOWN_TERPENES) if (n.includes(t.toLowerCase())) return t;
+  return null;
+}
 
 /* -------------------- Utils -------------------- */
 function isPdfBuffer(buf) {
   return buf && buf.length >= 4 && buf[0] === 0x25 && buf[1] === 0x50 && buf[2] === 0x44 && buf[3] === 0x46; // %PDF
 }
+// A comma followed by exactly three digits groups thousands ("4,321" ppm, "1,234.5"); any other lone comma is a
+// decimal comma ("0,812", "12,5")
+const THOUSANDS_RE = /\b[1-9]\d{0,2}(?:,\d{3})+(?![\d,])/g;
 function toFloatSafe(x) {
   if (x == null) return null;
-  const m = String(x).replace(/,/g,'').match(/-?\d+(?:\.\d+)?/);
+  const s = String(x).trim().replace(THOUSANDS_RE, m => m.replace(/,/g, ''));
+  const m = (/^-?\d+,\d+$/.test(s) ? s.replace(',', '.') : s.replace(/,/g, '')).match(/-?\d+(?:\.\d+)?|-?\.\d+/);
   return m ? parseFloat(m[0]) : null;
 }
-function unitFrom(s) {
+function normUnit(s) {
   if (!s) return null;
-  const t = s.toLowerCase();
-  if (/%/.test(t)) return '%';
-  if (/mg\s*\/\s*g/.test(t)) return 'mg/g';
-  if (/µg\s*\/\s*g|ug\s*\/\s*g/.test(t)) return 'ug/g';
+  const t = s.toLowerCase().replace(/\s+/g, '');
+  if (t.includes('%')) return '%';
+  if (t === 'mg/g') return 'mg/g';
+  if (t === 'ppm' || t === 'µg/g' || t === 'ug/g' || t === 'μg/g') return 'ug/g';
   return null;
 }
-const mgPerGToPercent = (x) => (x==null?null:(x/10));     // ~1% ≈ 10 mg/g
-const ugPerGToPercent = (x) => (x==null?null:(x/10000));  // 10,000 µg/g == 1%
-
-function canonTerp(name) {
-  if (!name) return null;
-  const raw = name.toLowerCase().trim();
-  if (SYN[raw]) return SYN[raw];
-  if (/alpha[-\s]?pinene|a[-\s]?pinene/i.test(name)) return 'alpha-pinene';
-  if (/beta[-\s]?pinene|b[-\s]?pinene/i.test(name)) return 'beta-pinene';
-  if (/\bpinene\b/i.test(name)) return 'pinene';
-  const greek = raw.replace(/α/g,'alpha-').replace(/β/g,'beta-');
-  for (const t of KNOWN_TERPENES) if (greek.includes(t)) return t;
-  return raw;
+function toPercent(value, unit) {
+  if (!Number.isFinite(value)) return null;
+  if (!unit || unit === '%') return value;
+  if (unit === 'mg/g') return +(value * 0.1).toFixed(4);   // ~1% ≈ 10 mg/g
+  if (unit === 'ug/g') return +(value / 10000).toFixed(4); // 10,000 µg/g == 1%
+  return value;
 }
 function hasPercentContext(text) {
   return /(Result\s*%\s*\(total\)|Amount\s*\(%\s*(?:w\/w|wt\/wt)?\)|%\s*(?:w\/w|wt\/wt)|% of total terpenes|percent of total)/i.test(text);
 }
-function fixPercentOverflow(v) {
+// "2241 %" is 22.41 % with the decimal point lost (PDF text, OCR): shift it until the value is plausible
+function fixPercentOverflow(v, max = 100) {
   if (v == null) return v;
-  while (v > 100) v = v / 10;
+  while (v > max) v = v / 10;
   return v;
 }
+// no single terpene comes near 10 %; "Linalool 1240 %" is 1.24, not 12.4
+const TERP_PERCENT_MAX = 10;
 function joinWeirdDecimals(s) {
   return s
+    // "4,321 ppm" / "1,234.5" / "12,345,678" (ppm, µg/g, mg/kg, mg/g): thousands groups, not decimal commas
+    .replace(THOUSANDS_RE, m => m.replace(/,/g, ''))
     .replace(/(\d)\s*[.,]\s*(\d{2,4})/g, '$1.$2')
     .replace(/(\d)\s+(\d{2,4})(?=\s*[%\b])/g, '$1.$2');
 }
+function detectColumnUnit(lines) {
+  const header = /\bresult\s*\((%|mg\/g|ppm|µg\/g|ug\/g)\)/i;
+  const unitHeader = lines.find(l => header.test(l));
+  if (unitHeader) return normUnit(unitHeader.match(header)[1]);
+  const unitRow = /\bunits?\s*:\s*(%|mg\/g|ppm|µg\/g|ug\/g)(?=\s|$)/i;
+  const unitLine = lines.find(l => unitRow.test(l));
+  if (unitLine) return normUnit(unitLine.match(unitRow)[1]);
+  return null;
+}
+// Lines of `text` spanned by [start, end) — the provenance for a match on flattened text
+function spanLines(text, start, end) {
+  const a = text.lastIndexOf('\n', start - 1) + 1;
+  let b = text.indexOf('\n', end);
+  if (b < 0) b = text.length;
+  return text.slice(a, b).replace(/\n/g, ' ').trim();
+}
+function field(value, confidence, rule, line = null, unit = null) {
+  if (value == null) return { value: null, confidence: 0, provenance: null };
+  return { value, confidence, provenance: { line, rule, unit } };
+}
+
+/** Name from the last path segment of a URL ("blue-dream.pdf" → "Blue Dream") */
+function guessNameFromCode(code) {
+  try {
+    const u = new URL(code);
+    const last = (u.pathname.split('/').filter(Boolean).pop() || '').trim();
+    if (!last) return null;
+    const base = last.replace(/\.(pdf|html?)$/i, '');
+    return base.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase()).trim();
+  } catch { return null; }
+}
 
 /* -------------------- Fetch & text -------------------- */
-async function fetchDoc(url) {
-  const res = await fetch(url, { redirect: 'follow' });
+// safe-fetch.js is ESM, so the default client is built on first use (FETCH_ALLOW_PRIVATE=1 for local testing)
+let defaultFetch = null;
+async function safeFetchDefault(url) {
+  defaultFetch ??= import('./safe-fetch.js')
+    .then(({ createSafeFetch }) => createSafeFetch({ allowPrivate: process.env.FETCH_ALLOW_PRIVATE === '1' }));
+  return (await defaultFetch)(url);
+}
+
+async function fetchDoc(url, fetcher = safeFetchDefault) {
+  const res = await fetcher(url);
   if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
   const ct = res.headers.get('content-type') || '';
   const buf = Buffer.from(await res.arrayBuffer());
@@ -104,169 +169,580 @@ async function pdfText(buffer) {
   return data.text || '';
 }
 
-/* -------------------- Parsers -------------------- */
-function parseStrain(text) {
-  const pats = [
-    /\bStrain\s*[:\-]\s*(.+)/i,
-    /\bCultivar\(s\)?\s*[:\-]\s*(.+)/i,
-    /\bSample\s*Alias\s*[:\-]\s*(.+)/i,
-    /\bProduct\s*Name\s*[:\-]\s*(.+)/i,
-    /\bCultivars?\s*[:\-]\s*(.+)/i
-  ];
-  for (const re of pats) {
-    const m = text.match(re);
-    if (m) return m[1].replace(/\r|\n/g,' ').replace(/\s{2,}/g,' ').trim();
+/* -------------------- Field extractors -------------------- */
+const STRAIN_RULES = [
+  { rule: 'label:strain',       confidence: 0.9,  re: /\b(?:Strain(?:\s*Name)?|Cultivar\(s\)|Cultivars?|Variety)\s*[:\-]\s*(.+)/i },
+  { rule: 'label:sample-alias', confidence: 0.75, re: /\bSample\s*Alias\s*[:\-]\s*(.+)/i },
+  { rule: 'label:product',      confidence: 0.7,  re: /\bProduct(?:\s*Name)?\s*[:\-]\s*(.+)/i },
+  { rule: 'label:sample',       confidence: 0.5,  re: /\b(?:Item|Sample(?:\s*Name)?)\s*:\s*(.+)/i },
+];
+
+function extractStrain(lines, sourceUrl) {
+  for (const { rule, confidence, re } of STRAIN_RULES) {
+    for (const line of lines) {
+      const m = line.match(re);
+      const v = m && m[1].replace(/\s{2,}/g, ' ').trim();
+      if (v) return field(v, confidence, rule, line);
+    }
+  }
+  const guess = sourceUrl ? guessNameFromCode(sourceUrl) : null;
+  if (guess) return field(guess, /[a-z]/i.test(guess) ? 0.2 : 0.05, 'url-filename', sourceUrl);
+  return field(null);
+}
+
+/* ---------- Batch / lab / test date ---------- */
+function extractLot(lines, sourceUrl) {
+  const label = /\b(?:Batch|Lot|Harvest\s+Batch)(?:\s*\/\s*(?:Batch|Lot|Harvest))?\s*(?:#|No\.?|Number|ID|Code)?\s*[:#\-]?\s*/i;
+  const value = /^([A-Z0-9][A-Z0-9\-_.\/]{2,})/i;
+  for (const [i, line] of lines.entries()) {
+    const l = line.match(label);
+    if (!l) continue;
+    const rest = line.slice(l.index + l[0].length);
+    const m = rest.match(value);
+    if (m && /\d/.test(m[1])) return field(m[1], 0.85, 'label:batch', line);
+    // label alone on its line, value below it (table cells, stickers)
+    const next = !rest.trim() && /[:#]\s*$/.test(line) && lines[i + 1]?.match(value);
+    if (next && /\d/.test(next[1])) return field(next[1], 0.75, 'label:batch-next-line', `${line} ${lines[i + 1]}`);
   }
+  // Trulieve-style report file name: 83699_0007689144.pdf
+  const fm = String(sourceUrl || '').match(/\/(\d{5}_\d{7,})\.pdf\b/i);
+  if (fm) return field(fm[1], 0.6, 'url-batch', sourceUrl);
+  return field(null);
+}
+
+function extractLab(lines) {
+  const labeled = /\b(?:Testing\s+Lab(?:oratory)?|Lab(?:oratory)?\s*Name|Tested\s+By|Performed\s+By|Laboratory)\s*[:\-]\s*(.+)/i;
+  for (const line of lines) {
+    const m = line.match(labeled);
+    if (m && m[1].trim()) return field(m[1].trim(), 0.85, 'label:lab', line);
+  }
+  const named = /^([A-Z][\w&.,' -]{1,60}?\s(?:Laboratories|Laboratory|Labs|Analytics|Analytical|Testing|Sciences?))\b/;
+  for (const line of lines.slice(0, 25)) {
+    const m = line.match(named);
+    if (m) return field(m[1].trim(), 0.5, 'lab-name', line);
+  }
+  return field(null);
+}
+
+const MONTHS = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'];
+
+/** "03/14/2024", "2024-03-14", "14-Mar-2024", "March 14, 2024" → "2024-03-14" */
+function toIsoDate(s) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const ok = (y, mo, d) => (y > 1990 && y < 2100 && mo >= 1 && mo <= 12 && d >= 1 && d <= 31) ? `${y}-${pad(mo)}-${pad(d)}` : null;
+  let m = s.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (m) return ok(+m[1], +m[2], +m[3]);
+  m = s.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{2,4})\b/);
+  if (m) return ok(m[3].length === 2 ? 2000 + +m[3] : +m[3], +m[1], +m[2]);
+  m = s.match(/\b(\d{1,2})[-\s]([A-Za-z]{3})[a-z]*[-\s,]+(\d{4})\b/);
+  if (m && MONTHS.includes(m[2].toLowerCase())) return ok(+m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, +m[1]);
+  m = s.match(/\b([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/);
+  if (m && MONTHS.includes(m[1].toLowerCase())) return ok(+m[3], MONTHS.indexOf(m[1].toLowerCase()) + 1, +m[2]);
   return null;
 }
 
-function collectTerpenesAsPercent(text) {
-  const percentByHeader = hasPercentContext(text);
-  const lines = text.split(/\r?\n/);
-  const rows = [];
+function extractTestDate(lines) {
+  const rules = [
+    { rule: 'label:test-date',   confidence: 0.85, re: /\b(?:Date\s+Tested|Test(?:ed|ing)?\s+Date|Date\s+of\s+(?:Analysis|Test(?:ing)?)|Analy(?:sis|zed)\s+Date|Date\s+Completed|Completed)\s*[:\-]?\s*(.{6,30})/i },
+    { rule: 'label:report-date', confidence: 0.7,  re: /\b(?:Date\s+Reported|Report(?:ed)?\s+Date|Date\s+Issued|Issued)\s*[:\-]?\s*(.{6,30})/i },
+  ];
+  for (const { rule, confidence, re } of rules) {
+    for (const line of lines) {
+      const m = line.match(re);
+      const iso = m && toIsoDate(m[1]);
+      if (iso) return field(iso, confidence, rule, line);
+    }
+  }
+  return field(null);
+}
 
-  const nameRegex =
-    /([A-Za-zµβα\-\.\/\(\)\s]*?(?:caryophyllene|pinene|myrcene|limonene|linalool|humulene|terpinolene|ocimene|farnesene|nerolidol|bisabolol|eucalyptol|fenchyl(?:\s+alcohol)?))/i;
+const TYPE_MAP = { I: 'Indica', H: 'Hybrid', S: 'Sativa' };
+const cap = (w) => w[0].toUpperCase() + w.slice(1).toLowerCase();
 
-  for (let rawLine of lines) {
-    let line = joinWeirdDecimals(rawLine.replace(/\s{2,}/g, ' ').trim());
-    if (!nameRegex.test(line)) continue;
+function extractType(lines) {
+  // TRU-Flower-...-I-FL or -H-FL or -S-FL
+  for (const line of lines) {
+    const m = line.match(/-([IHS])-[A-Z]{2}\b/);
+    if (m) return field(TYPE_MAP[m[1]], 0.85, 'product-code', line);
+  }
+  const typeRow = /\bType\s*[:\-]\s*(.+)/i;
+  const rowLine = lines.find(l => typeRow.test(l));
+  const row = rowLine ? rowLine.match(typeRow)[1].trim() : null;
+  const sihRow = row && row.match(/\b(Sativa|Indica|Hybrid)\b/i);
+  if (sihRow) return field(cap(sihRow[1]), 0.8, 'label:type', rowLine);
+  for (const line of lines) {
+    const m = line.match(/\b(Sativa|Indica|Hybrid)\b/i);
+    if (m) return field(cap(m[1]), 0.5, 'keyword', line);
+  }
+  if (row) return field(row, 0.4, 'label:type-form', rowLine);
+  return field(null);
+}
 
-    const nm = line.match(nameRegex);
-    if (!nm) continue;
-    const name = canonTerp(nm[1]);
-    if (!name) continue;
+/* ---------- Row amounts ---------- */
+const AMOUNT_RE = /(?<![A-Za-z\d.])(\d{1,4}(?:\.\d+)?|\.\d+)\s*(%|mg\s*\/\s*g|ppm|[µμu]g\s*\/\s*g)?/gi;
+const HOW_CONFIDENCE = { explicit: 1, column: 0.8, 'percent-header': 0.65, assumed: 0.55 };
 
-    const nums = [...line.matchAll(/(-?\d{1,3})(?:\s*[.,]\s*(\d{1,4}))?\s*(%|mg\s*\/\s*g|µg\s*\/\s*g|ug\s*\/\s*g)?/gi)];
-    if (!nums.length) continue;
+/**
+ * Pick the result from the numbers in a table row tail: explicit unit beats the column unit,
+ * then a "% w/w" header (last number), then assume percent (first number). `column` is the result's
+ * position among the row's numbers when the table header says (see resultColumns).
+ * → { percent, unit, how } | null
+ */
+function pickRowAmount(tail, defaultUnit, percentByHeader, column = null) {
+  // CAS numbers (e.g. 123-35-3) are not amounts
+  const clean = tail.replace(/\b\d{2,7}-\d{2}-\d\b/g, ' ');
+  const nums = [...clean.matchAll(AMOUNT_RE)].map(n => ({ v: toFloatSafe(n[1]), unit: normUnit(n[2]) }))
+    .filter(n => n.v != null);
+  if (!nums.length) return null;
+
+  let pick = nums.find(n => n.unit === '%') || nums.find(n => n.unit === 'mg/g') || nums.find(n => n.unit === 'ug/g');
+  let unit = pick?.unit, how = 'explicit';
+  const result = column == null ? null : nums[Math.min(column, nums.length - 1)];
+  if (!pick && defaultUnit) { pick = result || nums[0]; unit = defaultUnit; how = 'column'; }
+  if (!pick && percentByHeader) { pick = result || nums[nums.length - 1]; unit = '%'; how = 'percent-header'; }
+  if (!pick) { pick = result || nums[0]; unit = '%'; how = 'assumed'; }
+  return { percent: toPercent(pick.v, unit), unit, how };
+}
+const COLUMN_WORD_RE = /\b(LO[QD]|Result|Amount|Concentration)\b/gi;
 
-    let pick = nums.find(n => (n[3] || '').includes('%'));
-    if (!pick) pick = nums.find(n => (n[3] || '').toLowerCase().includes('mg'));
-    if (!pick) pick = nums.find(n => (n[3] || '').toLowerCase().includes('g'));
-    if (!pick && percentByHeader) pick = nums[nums.length - 1];
-    if (!pick) continue;
+/**
+ * Per line: which of a row's numbers is the result, from the table header above it. "Analyte LOQ Result (%)"
+ * → 1 (the LOQ comes first); "Compound Result (mg/g) LOQ" → 0; null until a header says. A header is a line
+ * without digits that names a result column.
+ */
+function resultColumns(lines) {
+  let column = null;
+  return lines.map((line) => {
+    const words = [...line.matchAll(COLUMN_WORD_RE)].map(m => m[1].toLowerCase());
+    const at = words.findIndex(w => !w.startsWith('lo'));
+    if (at >= 0 && !/\d/.test(line)) column = at;
+    return column;
+  });
+}
+const ruleFor = (base, how) => (how === 'explicit' ? base : `${base}:${how === 'percent-header' ? how : `${how}-unit`}`);
+
+/* ---------- Cannabinoid panel ---------- */
+// key → row label patterns (abbreviation or full name); acids and varins must not match their parents
+const CANNABINOIDS = [
+  { key: 'thca',  label: 'THCa',   re: /\bTHC[\s-]?A\b|Tetrahydrocannabinolic\s+acid/i },
+  { key: 'd9thc', label: 'Δ9-THC', re: /(?<![A-Za-z0-9])(?:Δ|Delta|D)\s*-?\s*9\s*-?\s*(?:THC\b(?![\s-]?A\b)|Tetrahydrocannabinol\b)/i },
+  { key: 'cbda',  label: 'CBDa',   re: /\bCBD[\s-]?A\b|Cannabidiolic\s+acid/i },
+  { key: 'cbd',   label: 'CBD',    re: /\bCBD\b(?![\s-]?A\b)|\bCannabidiol\b/i },
+  { key: 'cbga',  label: 'CBGa',   re: /\bCBG[\s-]?A\b|Cannabigerolic\s+acid/i },
+  { key: 'cbg',   label: 'CBG',    re: /\bCBG\b(?![\s-]?A\b)|\bCannabigerol\b/i },
+  { key: 'cbn',   label: 'CBN',    re: /\bCBN\b|\bCannabinol\b/i },
+  { key: 'thcv',  label: 'THCV',   re: /\bTHCV\b|\bTetrahydrocannabivarin\b/i },
+  { key: 'cbc',   label: 'CBC',    re: /\bCBC\b|\bCannabichromene\b/i },
+];
+const NOT_DETECTED = '(?:\\b(?:ND|N\\/D|BLQ|Not\\s+Detected)\\b|<\\s*LO[QD]\\b)';
+// anywhere in the row: "CBDa 0.05 ND" has its LOQ before the result
+const NOT_DETECTED_RE = new RegExp(NOT_DETECTED, 'i');
 
-    const whole = pick[1];
-    const frac  = pick[2] || '';
-    let val = toFloatSafe(frac ? `${whole}.${frac}` : whole);
+/**
+ * Line-based panel: one Field per analyte (value = percent, plus mgPerG). A row that says "ND"/"<LOQ" in any
+ * of its cells reads as 0 (rule panel-row:not-detected), whatever LOQ/LOD numbers it also has; a label whose
+ * number wrapped onto the next line is joined with it.
+ */
+function extractCannabinoids(lines, defaultUnit, percentByHeader, columns = resultColumns(lines)) {
+  const panel = {};
+  for (const { key } of CANNABINOIDS) panel[key] = field(null);
+
+  lines.forEach((line, i) => {
+    // every analyte label on the line, in order, so one row's tail stops at the next label
+    const hits = [];
+    for (const c of CANNABINOIDS) {
+      const m = line.match(c.re);
+      if (!m) continue;
+      if (/\bTotal\s*$/i.test(line.slice(Math.max(0, m.index - 12), m.index))) continue;
+      hits.push({ c, start: m.index, end: m.index + m[0].length });
+    }
+    hits.sort((a, b) => a.start - b.start);
+
+    hits.forEach((h, j) => {
+      if (panel[h.c.key].value != null) return;
+      let tail = line.slice(h.end, j + 1 < hits.length ? hits[j + 1].start : undefined);
+      let src = line;
+      if (NOT_DETECTED_RE.test(tail)) {
+        panel[h.c.key] = { ...field(0, 0.8, 'panel-row:not-detected', src, null), mgPerG: 0 };
+        return;
+      }
+      if (!/\d/.test(tail) && hits.length === 1 && /^[\d.<]|^ND\b/i.test(lines[i + 1] || '')) {
+        tail = lines[i + 1];
+        src = `${line} ${lines[i + 1]}`;
+        if (NOT_DETECTED_RE.test(tail)) {
+          panel[h.c.key] = { ...field(0, 0.7, 'panel-row:not-detected', src, null), mgPerG: 0 };
+          return;
+        }
+      }
+      const amt = pickRowAmount(tail, defaultUnit, percentByHeader, columns[i]);
+      if (!amt || !Number.isFinite(amt.percent) || amt.percent < 0) return;
+      let { percent } = amt;
+      let confidence = 0.9 * HOW_CONFIDENCE[amt.how];
+      let rule = ruleFor('panel-row', amt.how);
+      if (percent > 100) {
+        if (amt.how !== 'explicit' || amt.unit !== '%') return;
+        percent = fixPercentOverflow(percent);
+        confidence *= 0.5;
+        rule += '+overflow-fixed';
+      }
+      panel[h.c.key] = {
+        ...field(+percent.toFixed(4), +confidence.toFixed(2), rule, src, amt.unit),
+        mgPerG: +(percent * 10).toFixed(3),
+      };
+    });
+  });
+  return panel;
+}
 
-    let unit = unitFrom(pick[3] || '');
-    if (!unit && percentByHeader) unit = '%';
-    if (val == null || !unit) continue;
+/* ---------- Totals (THC / CBD) ---------- */
+const NUM  = '(\\d{1,4}(?:\\.\\d{1,4})?)';
+const UNIT = '(%|mg\\s*\\/\\s*g)?';
+const FORMULA = '\\s*(?:\\([^)]{0,60}\\))?'; // "Total THC (THCa * 0.877 + Δ9-THC) 18.5 %"
+const THC_TOTAL_RE = new RegExp(`\\bTotal\\s+(?:Active\\s+|Potential\\s+)?(?:(?:Δ|Delta)[-\\s]?9[-\\s]?)?THC\\b${FORMULA}[^0-9]{0,40}?${NUM}\\s*${UNIT}`, 'gi');
+const CBD_TOTAL_RE = new RegExp(`\\bTotal\\s+(?:Active\\s+|Potential\\s+)?CBD\\b${FORMULA}[^0-9]{0,40}?${NUM}\\s*${UNIT}`, 'gi');
+// "Total CBD ND": reported, but not detected
+const THC_TOTAL_ND_RE = new RegExp(`\\bTotal\\s+(?:Active\\s+|Potential\\s+)?(?:(?:Δ|Delta)[-\\s]?9[-\\s]?)?THC\\b${FORMULA}\\s*[:=\\-]?\\s*${NOT_DETECTED}`, 'i');
+const CBD_TOTAL_ND_RE = new RegExp(`\\bTotal\\s+(?:Active\\s+|Potential\\s+)?CBD\\b${FORMULA}\\s*[:=\\-]?\\s*${NOT_DETECTED}`, 'i');
+const BARE_THC_RE  = new RegExp(`\\bTHC\\b\\s*[:=]?\\s*${NUM}\\s*${UNIT}`, 'gi');
 
-    if (unit === '%') val = fixPercentOverflow(val);
-    else if (unit === 'mg/g') val = mgPerGToPercent(val);
-    else if (unit === 'ug/g') val = ugPerGToPercent(val);
-    else continue;
+/**
+ * First plausible number for a pattern on flattened text: explicit unit beats the column unit,
+ * which beats assuming percent. An explicit "%" over 100 lost its decimal point (`overflow`).
+ * → { percent, unit, line, how, overflow } | null
+ */
+function findAmount(re, flat, defaultUnit) {
+  let fallback = null;
+  for (const m of flat.matchAll(re)) {
+    const raw = toFloatSafe(m[1]);
+    const explicit = normUnit(m[2]);
+    const unit = explicit || defaultUnit || '%';
+    const max = unit === '%' ? 100 : unit === 'mg/g' ? 1000 : 1e6;
+    const overflow = raw != null && raw > max && explicit === '%';
+    if (raw == null || (raw > max && !overflow)) continue;
+    // a factor in a formula ("THCa * 0.877 + Δ9") is not a result
+    if (/^\s*[*×x+]/.test(flat.slice(m.index + m[0].length, m.index + m[0].length + 3))) continue;
+    const hit = {
+      percent: overflow ? fixPercentOverflow(raw) : toPercent(raw, unit),
+      overflow,
+      unit,
+      line: spanLines(flat, m.index, m.index + m[0].trimEnd().length),
+      how: explicit ? 'explicit' : defaultUnit ? 'column' : 'assumed',
+    };
+    if (explicit) return hit;
+    if (!fallback) fallback = hit;
+  }
+  return fallback;
+}
+
+const isNotDetected = (f) => /:not-detected$/.test(f.provenance?.rule || '');
+
+/**
+ * Reported total if the COA states one (an "ND" total reads as 0), else 0.877 × acid + neutral from the
+ * detected analytes of the panel; not-detected rows never make up a total
+ */
+function parseTotal(flat, defaultUnit, [totalRe, ndRe], acid, neutral, name) {
+  const nd = flat.match(ndRe);
+  if (nd) return field(0, 0.9, `total-${name}:not-detected`, spanLines(flat, nd.index, nd.index + nd[0].length), null);
+  const total = findAmount(totalRe, flat, defaultUnit);
+  if (total) {
+    return field(+total.percent.toFixed(2), +(0.95 * HOW_CONFIDENCE[total.how] * (total.overflow ? 0.5 : 1)).toFixed(2),
+      ruleFor(`total-${name}`, total.how) + (total.overflow ? '+overflow-fixed' : ''), total.line, total.unit);
+  }
+  const parts = [acid, neutral].filter(f => f.value != null && !isNotDetected(f));
+  if (!parts.length) return field(null);
+  const amount = (f) => (parts.includes(f) ? f.value : 0);
+  const value = +(0.877 * amount(acid) + amount(neutral)).toFixed(2);
+  const conf = (parts.length === 2 ? 0.85 : 0.65) * Math.min(...parts.map(p => p.confidence));
+  return field(value, +conf.toFixed(2), `computed:0.877*${name}a+${name === 'thc' ? 'd9' : name}`,
+    parts.map(p => p.provenance.line).join(' | '), parts.find(p => p.provenance.unit)?.provenance.unit ?? null);
+}
+
+function parseTHC(flat, defaultUnit, panel) {
+  const total = parseTotal(flat, defaultUnit, [THC_TOTAL_RE, THC_TOTAL_ND_RE], panel.thca, panel.d9thc, 'thc');
+  if (total.value != null) return total;
+  const bare = findAmount(BARE_THC_RE, flat, defaultUnit);
+  if (bare) return field(+bare.percent.toFixed(2), +(0.35 * HOW_CONFIDENCE[bare.how]).toFixed(2), 'bare-thc', bare.line, bare.unit);
+  return field(null);
+}
+
+function parseCBD(flat, defaultUnit, panel) {
+  return parseTotal(flat, defaultUnit, [CBD_TOTAL_RE, CBD_TOTAL_ND_RE], panel.cbda, panel.cbd, 'cbd');
+}
+
+/* ---------- Terpene parsing ---------- */
+function terpRow(line, defaultUnit, percentByHeader, column = null) {
+  const nm = line.match(TERP_NAME_RE);
+  if (!nm) return null;
+  const name = canonTerp(nm[0]);
+  if (!name) return null;
 
-    if (val != null && !Number.isNaN(val)) rows.push({ name, percent: val });
+  const tail = line.slice(nm.index + nm[0].length);
+  if (NOT_DETECTED_RE.test(tail)) return null; // its LOQ is not a measurement
+  const amt = pickRowAmount(tail, defaultUnit, percentByHeader, column);
+  if (!amt) return null;
+  let { percent } = amt;
+  let confidence = 0.9 * HOW_CONFIDENCE[amt.how];
+  let rule = ruleFor('terp-row', amt.how);
+  if (amt.unit === '%' && percent > 100) {
+    percent = fixPercentOverflow(percent, TERP_PERCENT_MAX);
+    confidence *= 0.5;
+    rule += '+overflow-fixed';
   }
+  if (!Number.isFinite(percent) || percent <= 0) return null;
+  return {
+    name, percent: +percent.toFixed(4), confidence: +confidence.toFixed(2),
+    provenance: { line, rule, unit: amt.unit },
+  };
+}
 
+function extractTerpenesSmart(lines, flat, defaultUnit, percentByHeader = hasPercentContext(flat), columns = resultColumns(lines)) {
   const best = new Map();
-  for (const r of rows) {
+  for (const [i, line] of lines.entries()) {
+    const r = terpRow(line, defaultUnit, percentByHeader, columns[i]);
+    if (!r) continue;
     const prev = best.get(r.name);
     if (!prev || r.percent > prev.percent) best.set(r.name, r);
   }
-  return [...best.values()];
-}
-
-function pickTopTerpenes(text, limit = 3) {
-  const rows = collectTerpenesAsPercent(text);
-  if (!rows.length) return [];
-
-  rows.sort((a,b)=>b.percent - a.percent);
+  let rows = [...best.values()];
+
+  // A generic "Pinene" row next to alpha/beta rows is usually their sum: dropped when it adds up to them
+  // (or it would be counted twice), else halved
+  const isomers = rows.filter(r => r.name === 'Alpha-Pinene' || r.name === 'Beta-Pinene');
+  const pinene = isomers.length && rows.find(r => r.name === 'Pinene');
+  if (pinene) {
+    const sum = isomers.reduce((acc, r) => acc + r.percent, 0);
+    if (isomers.length === 2 && Math.abs(pinene.percent - sum) <= Math.max(0.001, sum * 0.02)) {
+      rows = rows.filter(r => r !== pinene);
+    } else {
+      pinene.percent = +(pinene.percent * 0.5).toFixed(4);
+      pinene.confidence = +(pinene.confidence * 0.5).toFixed(2);
+      pinene.provenance.rule += '+pinene-halved';
+    }
+  }
+  if (rows.length) return rows.sort((a, b) => b.percent - a.percent);
+
+  // No measured rows: a "Dominant Terpenes: a, b, c" summary line (order only)
+  const domLine = lines.find(l => /Dominant\s*Terpenes?\s*:/i.test(l));
+  if (domLine) {
+    const names = domLine.replace(/.*Dominant\s*Terpenes?\s*:/i, '').split(/[;,|]/).map(canonTerp).filter(Boolean);
+    return [...new Set(names)].map(name => ({
+      name, percent: null, confidence: 0.5, provenance: { line: domLine, rule: 'dominant-list', unit: null },
+    }));
+  }
 
-  const hasAlpha = rows.some(r => r.name === 'alpha-pinene');
-  const hasBeta  = rows.some(r => r.name === 'beta-pinene');
-  if (hasAlpha || hasBeta) {
-    for (const r of rows) {
-      if (r.name === 'pinene') r.percent = r.percent * 0.5;
+  // Last resort: a terpene name followed by a number anywhere within 40 chars
+  const loose = [];
+  for (const terp of KNOWN_TERPENES) {
+    const re = new RegExp(`${terp.replace(/-/g, '[ \\-]?')}[^\\n]{0,40}?(\\d+(?:\\.\\d+)?|\\.\\d+)\\s*(%|mg\\/g|ppm|µg\\/g|ug\\/g)?`, 'i');
+    const m = flat.match(re);
+    if (!m) continue;
+    const unit = normUnit(m[2]) || defaultUnit || '%';
+    const percent = toPercent(parseFloat(m[1]), unit);
+    if (Number.isFinite(percent) && percent > 0 && percent <= 100) {
+      loose.push({ name: terp, percent, confidence: 0.3,
+        provenance: { line: spanLines(flat, m.index, m.index + m[0].trimEnd().length), rule: 'free-text', unit } });
     }
-    rows.sort((a,b)=>b.percent - a.percent);
   }
+  return loose.sort((a, b) => b.percent - a.percent);
+}
+
+const TERP_TOTAL_RE = new RegExp(`^Total\\s+(?:Terpenes?|Terps)\\b${FORMULA}[^0-9]{0,40}?${NUM}\\s*${UNIT}`, 'gim');
 
-  return rows.slice(0, limit).map(r => r.name);
+/** Reported "Total Terpenes" if present, else the sum of the measured rows */
+function parseTotalTerpenes(flat, defaultUnit, terpenes) {
+  const total = findAmount(TERP_TOTAL_RE, flat, defaultUnit);
+  if (total) {
+    return field(+total.percent.toFixed(3), +(0.95 * HOW_CONFIDENCE[total.how]).toFixed(2),
+      ruleFor('total-terpenes', total.how), total.line, total.unit);
+  }
+  const measured = terpenes.filter(t => t.percent != null);
+  if (!measured.length) return field(null);
+  const sum = measured.reduce((acc, t) => acc + t.percent, 0);
+  return field(+sum.toFixed(3), +(0.8 * Math.min(...measured.map(t => t.confidence))).toFixed(2),
+    'computed:sum', `${measured.length} terpene rows`, '%');
 }
 
-/* ---------- THC parsing ---------- */
-function normalizeForTHC(text) {
-  return joinWeirdDecimals(text.replace(/[\r\n]+/g, ' ').replace(/\s{2,}/g, ' '));
+/* ---------- Product labels (OCR of a jar / pouch sticker) ---------- */
+const PACKAGE_DATE_RE = /\b(?:Packag(?:ed|ing)(?:\s+(?:On|Date))?|Package\s+Date|Pkg\.?\s*Date|Date\s+Packaged)\s*[:\-]?\s*(.{0,30})/i;
+
+function extractPackageDate(lines) {
+  for (const [i, line] of lines.entries()) {
+    const m = line.match(PACKAGE_DATE_RE);
+    if (!m) continue;
+    const iso = toIsoDate(m[1]);
+    if (iso) return field(iso, 0.8, 'label:package-date', line);
+    const below = !m[1].trim() && lines[i + 1] && toIsoDate(lines[i + 1]);
+    if (below) return field(below, 0.7, 'label:package-date-next-line', `${line} ${lines[i + 1]}`);
+  }
+  return field(null);
 }
-function firstNumber(re, s) {
-  const m = s.match(re);
-  return m ? toFloatSafe(m[1]) : null;
+
+// Sticker boilerplate that is never the product name
+const LABEL_NOISE_RE = /\b(?:ingredients?|warning|batch|lot|harvest|packag|pkg|expir|thc|cbd|dose|net\s*w|weight|keep|children|cannabis|marijuana|flower|indica|sativa|hybrid|license|cultivat|grown|medical|tested|date|www|https?)\b/i;
+
+/**
+ * Labels rarely say "Strain:"; the name is usually a short, mostly-letters line near the top. Multi-word lines
+ * go first, since the single word above them is often the brand
+ */
+function extractLabelHeading(lines) {
+  const candidates = lines.slice(0, 8).filter((line) => {
+    const letters = (line.match(/[A-Za-z]/g) || []).length;
+    return line.length >= 3 && line.length <= 40 && line.split(' ').length <= 4
+      && letters / line.replace(/ /g, '').length >= 0.6 && !LABEL_NOISE_RE.test(line);
+  });
+  const line = candidates.find(l => l.includes(' ')) || candidates[0];
+  if (!line) return field(null);
+  const name = line.split(' ').map(w => (/[a-z]/.test(w) || !/[A-Z]/.test(w) ? w : cap(w))).join(' ');
+  return field(name, line.includes(' ') ? 0.35 : 0.25, 'label:heading', line);
 }
-function parseTHC(text) {
-  const flat = normalizeForTHC(text);
 
-  let pct = firstNumber(/\bTotal\s+(?:Active\s+)?THC\b[^0-9]{0,40}(\d{1,2}(?:[.,]\d{1,2})?)\s*%/i, flat);
-  if (pct != null) return { totalPercent: pct };
+const coaLines = (text) => String(text || '').split(/\r?\n/)
+  .map(l => joinWeirdDecimals(l.replace(/[ \t\u00a0]+/g, ' ').trim()))
+  .filter(Boolean);
+
+/* -------------------- Public: extractCoa -------------------- */
+/** One pass over COA text → every field with confidence + provenance (no network) */
+function extractCoa(text, { sourceUrl = null } = {}) {
+  const lines = coaLines(text);
+  const flat = lines.join('\n');
+  const defaultUnit = detectColumnUnit(lines);
+  const percentByHeader = hasPercentContext(flat);
+  const columns = resultColumns(lines);
+  const cannabinoids = extractCannabinoids(lines, defaultUnit, percentByHeader, columns);
+  const terpenes = extractTerpenesSmart(lines, flat, defaultUnit, percentByHeader, columns);
 
-  let mg = firstNumber(/\bTotal\s+(?:Active\s+)?THC\b[^0-9]{0,40}(\d{1,3}(?:[.,]\d{1,2})?)\s*mg\s*\/\s*g/i, flat);
-  if (mg != null) return { totalPercent: mgPerGToPercent(mg) };
+  return {
+    defaultUnit,
+    strain: extractStrain(lines, sourceUrl),
+    type: extractType(lines),
+    lot: extractLot(lines, sourceUrl),
+    lab: extractLab(lines),
+    testDate: extractTestDate(lines),
+    thc: parseTHC(flat, defaultUnit, cannabinoids),
+    cbd: parseCBD(flat, defaultUnit, cannabinoids),
+    cannabinoids,
+    terpenes,
+    totalTerpenes: parseTotalTerpenes(flat, defaultUnit, terpenes),
+  };
+}
 
-  let thcaPct = firstNumber(/\bTHC[\s\-]?A\b[^0-9]{0,40}(\d{1,2}(?:[.,]\d{1,2})?)\s*%/i, flat)
-             ?? firstNumber(/\bTHCa\b[^0-9]{0,40}(\d{1,2}(?:[.,]\d{1,2})?)\s*%/i, flat);
-  let d9Pct   = firstNumber(/\b(?:Delta|Δ)\s*[-]?\s*9\s*[-]?\s*THC\b[^0-9]{0,40}(\d{1,2}(?:[.,]\d{1,2})?)\s*%/i, flat)
-             ?? firstNumber(/\bD(?:elta)?-?9\b[^0-9]{0,40}(\d{1,2}(?:[.,]\d{1,2})?)\s*%/i, flat);
+/** Product-label text (OCR) → the COA fields plus packageDate; the strain falls back to the heading line */
+function extractLabel(text) {
+  const fields = extractCoa(text);
+  const lines = coaLines(text);
+  if (fields.strain.value == null) fields.strain = extractLabelHeading(lines);
+  return { ...fields, packageDate: extractPackageDate(lines) };
+}
 
-  let thcaMg  = firstNumber(/\bTHC[\s\-]?A\b[^0-9]{0,40}(\d{1,3}(?:[.,]\d{1,2})?)\s*mg\s*\/\s*g/i, flat)
-             ?? firstNumber(/\bTHCa\b[^0-9]{0,40}(\d{1,3}(?:[.,]\d{1,2})?)\s*mg\s*\/\s*g/i, flat);
-  let d9Mg    = firstNumber(/\b(?:Delta|Δ)\s*[-]?\s*9\s*[-]?\s*THC\b[^0-9]{0,40}(\d{1,3}(?:[.,]\d{1,2})?)\s*mg\s*\/\s*g/i, flat)
-             ?? firstNumber(/\bD(?:elta)?-?9\b[^0-9]{0,40}(\d{1,3}(?:[.,]\d{1,2})?)\s*mg\s*\/\s*g/i, flat);
+/** True when the text looked like a COA at all (anything beyond a URL-derived name) */
+function hasCoaSignal(fields) {
+  return (fields.strain.value != null && fields.strain.provenance.rule !== 'url-filename')
+    || fields.thc.value != null
+    || fields.cbd.value != null
+    || fields.terpenes.length > 0;
+}
 
-  let thca = thcaPct ?? (thcaMg!=null ? mgPerGToPercent(thcaMg) : null);
-  let d9   = d9Pct   ?? (d9Mg  !=null ? mgPerGToPercent(d9Mg)   : null);
+function topTerpenes(fields, limit = 3) {
+  return fields.terpenes.slice(0, limit).map(t => t.name);
+}
 
-  if (thca!=null || d9!=null) {
-    return { totalPercent: +(0.877*(thca ?? 0) + (d9 ?? 0)).toFixed(2) };
-  }
-  return { totalPercent: null };
+/** Storage view of the terpene panel: measured rows only, highest first */
+function terpeneProfile(fields) {
+  return fields.terpenes
+    .filter(t => t.percent != null)
+    .map(t => ({ name: t.name, percent: +t.percent.toFixed(4) }));
+}
+
+/** Storage view of the panel: { totalThc, totalCbd, thca, d9thc, ... } → { percent, mgPerG }, detected analytes only */
+function cannabinoidPanel(fields) {
+  const out = {};
+  const put = (key, f) => {
+    if (f?.value == null) return;
+    out[key] = { percent: +f.value.toFixed(3), mgPerG: +(f.value * 10).toFixed(2) };
+  };
+  put('totalThc', fields.thc);
+  put('totalCbd', fields.cbd);
+  for (const { key } of CANNABINOIDS) put(key, fields.cannabinoids[key]);
+  return out;
 }
 
-/* -------------------- Type extractors -------------------- */
-function pickSih(text) {
-  const m = text.match(/\b(Sativa|Indica|Hybrid)\b/i);
-  return m ? m[1] : null;
+/* -------------------- Strain shape (server / DB input) -------------------- */
+function typeToBucket(type) {
+  const t = String(type || '').toLowerCase();
+  if (t.startsWith('indi')) return 'indica_leaning';
+  if (t.startsWith('sati')) return 'sativa_leaning';
+  return 'hybrid';
 }
-function pickTypeRow(text) {
-  const m = text.match(/\bType\s*[:\-]\s*([^\n]+?)(?=\s{2,}|\n|$)/i);
-  return m ? m[1].trim() : null;
+function bucketToLean(bucket) {
+  return bucket === 'indica_leaning' ? 'Indica-leaning'
+       : bucket === 'sativa_leaning' ? 'Sativa-leaning'
+       : '';
 }
-function extractType(text) {
-  const sih = pickSih(text);
-  if (sih) return sih;
-  const row = pickTypeRow(text);
-  if (!row) return null;
-  const sihTail = row.match(/\b(Sativa|Indica|Hybrid)\b/i)?.[1];
-  return sihTail || row;
+
+/** engine fields -> normalizeStrain input shape (type -> bucket/lean) */
+function strainFromFields(fields) {
+  const type   = fields.type.value || null;
+  const bucket = typeToBucket(type);
+  return {
+    name: fields.strain.value || 'Unknown Strain',
+    thc: fields.thc.value ?? undefined,
+    bucket,
+    lean: bucketToLean(bucket),
+    type,
+    terpenes: topTerpenes(fields, 3),
+    terpeneProfile: terpeneProfile(fields),
+    totalTerpenes: fields.totalTerpenes.value ?? undefined,
+    cannabinoids: cannabinoidPanel(fields),
+    lot: fields.lot.value || undefined,
+    lab: fields.lab.value || undefined,
+    testDate: fields.testDate.value || undefined,
+  };
+}
+
+/** COA text → strain fields + per-field confidence/provenance, as the server's providers return it (null: not a COA) */
+function scrapeCoaText(text, sourceUrl = null, { requireSignal = true } = {}) {
+  const fields = extractCoa(text, { sourceUrl });
+  if (requireSignal && !hasCoaSignal(fields)) return null;
+  return { ...strainFromFields(fields), fields };
 }
 
 /* -------------------- Public: parseCoa -------------------- */
-async function parseCoa(url) {
-  const doc = await fetchDoc(url);
-  let text = '';
-  if (doc.type === 'pdf') text = await pdfText(doc.buffer);
-  else {
-    const $ = cheerio.load(doc.buffer.toString('utf8'));
-    text = $('body').text();
-  }
+// Plain text of a fetched doc ({ type: 'pdf'|'html', buffer })
+async function documentText(doc) {
+  if (doc.type === 'pdf') return pdfText(doc.buffer);
+  const $ = cheerio.load(doc.buffer.toString('utf8'));
+  // keep block/table boundaries as line breaks so line-based parsers still work on HTML COAs
+  $('script,style,noscript').remove();
+  $('br').replaceWith('\n');
+  $('p,div,li,tr,h1,h2,h3,h4,h5,h6,table,section').append('\n');
+  $('td,th').append(' ');
+  return $('body').text();
+}
 
-  const strain = parseStrain(text);
-  const names  = pickTopTerpenes(text, 3);
-  const thc    = parseTHC(text);
-  const type   = extractType(text);
+// Parse already-extracted COA text (no network)
+function parseCoaText(text, sourceUrl = null) {
+  const fields = extractCoa(text, { sourceUrl });
+  const names  = topTerpenes(fields, 3);
 
   return {
-    sourceUrl: url,
-    strain,
-    type,
+    sourceUrl,
+    strain: fields.strain.value,
+    type: fields.type.value,
     dominantTerpene: names[0] ?? null,
     otherTerpenes: names.slice(1),
-    thc: { totalPercent: thc.totalPercent ?? null }
+    thc: { totalPercent: fields.thc.value },
+    terpeneProfile: terpeneProfile(fields),
+    totalTerpenes: fields.totalTerpenes.value,
+    cannabinoids: cannabinoidPanel(fields),
+    fields,
   };
 }
 
+async function parseCoa(url, { fetch = safeFetchDefault } = {}) {
+  const doc = await fetchDoc(url, fetch);
+  return parseCoaText(await documentText(doc), url);
+}
+
 /* -------------------- CLI -------------------- */
 if (require.main === module) {
   (async () => {
@@ -285,4 +761,22 @@ if (require.main === module) {
   })();
 }
 
-module.exports = { parseCoa };
+module.exports = {
+  parseCoa,
+  parseCoaText,
+  extractCoa,
+  extractLabel,
+  hasCoaSignal,
+  topTerpenes,
+  terpeneProfile,
+  cannabinoidPanel,
+  CANNABINOIDS,
+  canonTerp,
+  guessNameFromCode,
+  strainFromFields,
+  scrapeCoaText,
+  typeToBucket,
+  bucketToLean,
+  documentText,
+  isPdfBuffer,
+};
@@ -0,0 +1,239 @@
+// Code locator — finds likely barcode/QR regions in a grayscale frame before any decoding (ESM)
+//
+//   const regions = locateCodes(lum, width, height, { maxRegions });
+//   → [{ kind: 'finder', quad: [tl, tr, br, bl], box, score, module }     // QR: three finder patterns
+//      | { kind: 'edges', box, score, bars }]                             // dense high-contrast block (1D, DataMatrix, small QR)
+//   const square = warpQuad(lum, width, height, quad, size);              // perspective-corrected crop
+//
+// `lum` is one byte per pixel. Points are { x, y } and boxes { x, y, width, height }, all in the input's pixels.
+
+import { PerspectiveTransform } from '@zxing/library';
+
+/* ===== Binarize (local mean over an integral image) ===== */
+function binarize(lum, w, h) {
+  const ii = new Float64Array((w + 1) * (h + 1));
+  for (let y = 0; y < h; y++) {
+    let row = 0;
+    for (let x = 0; x < w; x++) {
+      row += lum[y * w + x];
+      ii[(y + 1) * (w + 1) + x + 1] = ii[y * (w + 1) + x + 1] + row;
+    }
+  }
+  const r = Math.max(8, Math.round(Math.min(w, h) / 16));
+  const dark = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.max(0, y - r), y1 = Math.min(h, y + r + 1);
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.max(0, x - r), x1 = Math.min(w, x + r + 1);
+      const sum = ii[y1 * (w + 1) + x1] - ii[y0 * (w + 1) + x1] - ii[y1 * (w + 1) + x0] + ii[y0 * (w + 1) + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      dark[y * w + x] = lum[y * w + x] < mean - 8 ? 1 : 0;
+    }
+  }
+  return dark;
+}
+
+/* ===== QR finder patterns (1:1:3:1:1 dark/light runs, checked across and down) ===== */
+function finderRatio(c) {
+  const total = c[0] + c[1] + c[2] + c[3] + c[4];
+  if (total < 7) return 0;
+  const m = total / 7, v = m / 2;
+  const ok = Math.abs(m - c[0]) < v && Math.abs(m - c[1]) < v && Math.abs(3 * m - c[2]) < 3 * v && Math.abs(m - c[3]) < v && Math.abs(m - c[4]) < v;
+  return ok ? m : 0;
+}
+
+// Walk up/down from (cx, cy) through the five runs; → { y, module } centred vertically, or null
+function crossCheckVertical(dark, w, h, cx, cy, maxRun) {
+  const at = (y) => dark[y * w + cx];
+  const c = [0, 0, 0, 0, 0];
+  let y = cy;
+  while (y >= 0 && at(y)) { c[2]++; y--; }
+  while (y >= 0 && !at(y) && c[1] <= maxRun) { c[1]++; y--; }
+  while (y >= 0 && at(y) && c[0] <= maxRun) { c[0]++; y--; }
+  y = cy + 1;
+  while (y < h && at(y)) { c[2]++; y++; }
+  while (y < h && !at(y) && c[3] <= maxRun) { c[3]++; y++; }
+  while (y < h && at(y) && c[4] <= maxRun) { c[4]++; y++; }
+  const m = finderRatio(c);
+  return m ? { y: y - c[4] - c[3] - c[2] / 2, module: m } : null;
+}
+
+function findFinderCenters(dark, w, h) {
+  const hits = [];
+  const step = Math.max(1, Math.floor(h / 400));
+  for (let y = 0; y < h; y += step) {
+    const c = [0, 0, 0, 0, 0];
+    let state = 0; // index into c; even = dark run, odd = light run
+    for (let x = 0; x <= w; x++) {
+      const d = x < w ? dark[y * w + x] : 0;
+      if (d === (state % 2 === 0 ? 1 : 0)) { c[state]++; continue; }
+      if (state === 4) {
+        const m = finderRatio(c);
+        if (m) {
+          const cx = Math.round(x - c[4] - c[3] - c[2] / 2);
+          const v = crossCheckVertical(dark, w, h, cx, y, c[2] * 2);
+          if (v && Math.abs(v.module - m) < m) hits.push({ x: cx, y: v.y, module: (m + v.module) / 2 });
+        }
+        // shift by one dark/light pair and keep scanning
+        c[0] = c[2]; c[1] = c[3]; c[2] = c[4]; c[3] = 1; c[4] = 0; state = 3;
+        continue;
+      }
+      if (state === 0 && !d && !c[0]) continue; // waiting for the first dark run
+      state++;
+      c[state] = 1;
+    }
+  }
+  // cluster row hits into centres; a real finder is seen on several rows
+  const centers = [];
+  for (const p of hits) {
+    const near = centers.find(q => Math.hypot(q.x - p.x, q.y - p.y) < q.module * 3);
+    if (near) {
+      near.n++;
+      near.x += (p.x - near.x) / near.n; near.y += (p.y - near.y) / near.n; near.module += (p.module - near.module) / near.n;
+    } else centers.push({ ...p, n: 1 });
+  }
+  return centers.filter(c => c.n >= 2);
+}
+
+// Three centres that form the right-angled corner of a QR → quad of the whole symbol (quiet zone included)
+function finderQuads(centers) {
+  const cands = [];
+  for (let i = 0; i < centers.length; i++) for (let j = i + 1; j < centers.length; j++) for (let k = j + 1; k < centers.length; k++) {
+    const pts = [centers[i], centers[j], centers[k]];
+    const mods = pts.map(p => p.module);
+    if (Math.max(...mods) / Math.min(...mods) > 1.6) continue;
+    // the corner opposite the longest side is the top-left finder
+    const d = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const sides = [[0, d(pts[1], pts[2])], [1, d(pts[0], pts[2])], [2, d(pts[0], pts[1])]].sort((a, b) => b[1] - a[1]);
+    const A = pts[sides[0][0]], B = pts[sides[1][0]], C = pts[sides[2][0]];
+    const ab = d(A, B), ac = d(A, C), hyp = sides[0][1];
+    const module = (mods[0] + mods[1] + mods[2]) / 3;
+    if (Math.min(ab, ac) < module * 12) continue; // version 1 centres are 14 modules apart
+    const legRatio = Math.max(ab, ac) / Math.min(ab, ac);
+    const hypRatio = hyp / (Math.SQRT2 * (ab + ac) / 2);
+    if (legRatio > 1.35 || Math.abs(hypRatio - 1) > 0.2) continue;
+    // y grows downward, so a positive cross product means B → C turns clockwise: B is top-right
+    const cross = (B.x - A.x) * (C.y - A.y) - (B.y - A.y) * (C.x - A.x);
+    const [tr, bl] = cross > 0 ? [B, C] : [C, B];
+    const br = { x: tr.x + bl.x - A.x, y: tr.y + bl.y - A.y };
+    // centres sit 3.5 modules in from the symbol's corners; add the 4-module quiet zone the decoder expects
+    const leg = (ab + ac) / 2;
+    const s = (leg + 2 * 7.5 * module) / leg;
+    const cx = (A.x + br.x) / 2, cy = (A.y + br.y) / 2;
+    const quad = [A, tr, br, bl].map(p => ({ x: cx + (p.x - cx) * s, y: cy + (p.y - cy) * s }));
+    cands.push({ quad, module, members: [A, B, C], score: 1 - (legRatio - 1) - Math.abs(hypRatio - 1) });
+  }
+  cands.sort((a, b) => b.score - a.score);
+  const used = new Set();
+  const out = [];
+  for (const c of cands) {
+    if (c.members.some(m => used.has(m))) continue;
+    c.members.forEach(m => used.add(m));
+    out.push(c);
+  }
+  return out;
+}
+
+/* ===== Edge density (cells with strong gradients and contrast, joined into blobs) ===== */
+function edgeRegions(lum, w, h, cell) {
+  const gw = Math.floor(w / cell), gh = Math.floor(h / cell);
+  if (gw < 2 || gh < 2) return [];
+  const grad = new Float32Array(gw * gh), contrast = new Uint8Array(gw * gh);
+  const gx = new Float32Array(gw * gh), gy = new Float32Array(gw * gh);
+  for (let cy = 0; cy < gh; cy++) for (let cx = 0; cx < gw; cx++) {
+    let sx = 0, sy = 0, lo = 255, hi = 0;
+    for (let y = cy * cell; y < (cy + 1) * cell; y++) for (let x = cx * cell; x < (cx + 1) * cell; x++) {
+      const v = lum[y * w + x];
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+      if (x + 1 < w) sx += Math.abs(lum[y * w + x + 1] - v);
+      if (y + 1 < h) sy += Math.abs(lum[(y + 1) * w + x] - v);
+    }
+    const i = cy * gw + cx;
+    gx[i] = sx / (cell * cell); gy[i] = sy / (cell * cell);
+    grad[i] = gx[i] + gy[i];
+    contrast[i] = hi - lo;
+  }
+  const sorted = Float32Array.from(grad).sort();
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const thresh = Math.max(12, median * 2.5);
+  const busy = (i) => grad[i] > thresh && contrast[i] > 80;
+
+  const seen = new Uint8Array(gw * gh);
+  const out = [];
+  for (let start = 0; start < gw * gh; start++) {
+    if (seen[start] || !busy(start)) continue;
+    const stack = [start];
+    seen[start] = 1;
+    let n = 0, x0 = gw, y0 = gh, x1 = 0, y1 = 0, sg = 0, sgx = 0, sgy = 0;
+    while (stack.length) {
+      const i = stack.pop();
+      const cx = i % gw, cy = (i / gw) | 0;
+      n++; sg += grad[i]; sgx += gx[i]; sgy += gy[i];
+      if (cx < x0) x0 = cx; if (cx > x1) x1 = cx; if (cy < y0) y0 = cy; if (cy > y1) y1 = cy;
+      for (const [nx, ny] of [[cx - 1, cy], [cx + 1, cy], [cx, cy - 1], [cx, cy + 1]]) {
+        if (nx < 0 || ny < 0 || nx >= gw || ny >= gh) continue;
+        const j = ny * gw + nx;
+        if (!seen[j] && busy(j)) { seen[j] = 1; stack.push(j); }
+      }
+    }
+    const bw = x1 - x0 + 1, bh = y1 - y0 + 1;
+    if (n < 4 || Math.max(bw / bh, bh / bw) > 8) continue;
+    const fill = n / (bw * bh);
+    // bars: gradients mostly along one axis (1D barcode) — 2D codes and text have both
+    const bars = Math.max(sgx, sgy) / Math.max(1e-6, Math.min(sgx, sgy)) > 2.5 ? (sgx > sgy ? 'vertical' : 'horizontal') : null;
+    const pad = 1;
+    const bx = Math.max(0, x0 - pad) * cell, by = Math.max(0, y0 - pad) * cell;
+    out.push({
+      kind: 'edges',
+      box: { x: bx, y: by, width: Math.min(w, (x1 + 1 + pad) * cell) - bx, height: Math.min(h, (y1 + 1 + pad) * cell) - by },
+      score: fill * Math.min(1, sg / n / (thresh * 2)) * Math.min(1, n / 16),
+      bars,
+    });
+  }
+  return out.sort((a, b) => b.score - a.score);
+}
+
+const boxOf = (quad) => {
+  const xs = quad.map(p => p.x), ys = quad.map(p => p.y);
+  const x = Math.min(...xs), y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+function overlap(a, b) {
+  const ix = Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x));
+  const iy = Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+  return (ix * iy) / Math.max(1, Math.min(a.width * a.height, b.width * b.height));
+}
+
+/** Candidate code regions, best first: finder-pattern QR quads, then edge-density blocks not already covered */
+export function locateCodes(lum, w, h, { maxRegions = 8 } = {}) {
+  const dark = binarize(lum, w, h);
+  const finders = finderQuads(findFinderCenters(dark, w, h)).map(f => ({
+    kind: 'finder', quad: f.quad, box: boxOf(f.quad), score: Math.max(0, Math.min(1, f.score)), module: f.module,
+  }));
+  const cell = Math.max(4, Math.round(Math.min(w, h) / 80));
+  const edges = edgeRegions(lum, w, h, cell).filter(e => !finders.some(f => overlap(e.box, f.box) > 0.6));
+  return [...finders, ...edges].slice(0, maxRegions);
+}
+
+/** Sample `quad` (tl, tr, br, bl) into a size×size square, one byte per pixel */
+export function warpQuad(lum, w, h, quad, size) {
+  const [tl, tr, br, bl] = quad;
+  const t = PerspectiveTransform.quadrilateralToQuadrilateral(0, 0, size, 0, size, size, 0, size, tl.x, tl.y, tr.x, tr.y, br.x, br.y, bl.x, bl.y);
+  const out = new Uint8ClampedArray(size * size);
+  const pts = new Float32Array(size * 2);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) { pts[2 * x] = x + 0.5; pts[2 * x + 1] = y + 0.5; }
+    t.transformPoints(pts);
+    for (let x = 0; x < size; x++) {
+      // bilinear, so modules keep clean edges at any scale; outside the frame reads as quiet zone
+      const fx = pts[2 * x] - 0.5, fy = pts[2 * x + 1] - 0.5;
+      const x0 = Math.floor(fx), y0 = Math.floor(fy);
+      if (x0 < 0 || y0 < 0 || x0 + 1 >= w || y0 + 1 >= h) { out[y * size + x] = 255; continue; }
+      const ax = fx - x0, ay = fy - y0, i = y0 * w + x0;
+      out[y * size + x] = (lum[i] * (1 - ax) + lum[i + 1] * ax) * (1 - ay) + (lum[i + w] * (1 - ax) + lum[i + w + 1] * ax) * ay;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,136 @@
+// Host circuits — per-host retry with jittered backoff and a circuit breaker for vendor fetches (ESM)
+//
+//   const circuits = createHostCircuits({ retries, baseDelayMs, maxDelayMs, failureThreshold, openMs, idleMs, maxHosts });
+//   const resp = await circuits.call(url, ({ attempt, timeoutMs }) => fetchOnce(url, timeoutMs), { deadline });
+//   circuits.status()   → [{ host, state: closed|open|half_open, failures, retryAt, lastError, … }]
+//
+// A call makes up to 1 + `retries` attempts. An attempt fails when it throws a transient error (timeout, connection
+// reset or refused, …) or answers with one of RETRY_STATUSES; any other answer (a 404, a blocked URL) is returned or
+// thrown at once. Between attempts it waits a random 0..min(maxDelayMs, baseDelayMs·2^n) ("full jitter", so clients
+// that failed together don't come back together), or longer when the server sent Retry-After. With a `deadline`
+// (epoch ms) nothing waits past it, and each attempt gets what is left as its `timeoutMs`.
+//
+// `failureThreshold` failed calls in a row open the host's circuit: calls throw code 'circuit_open' (with `host` and
+// `retryAt`) without a request for `openMs`. Then one probe call goes through (half_open): success closes the
+// circuit, failure opens it again. A call that failed on a 5xx still returns that last Response.
+//
+// A host gets a circuit once it has answered or failed transiently; a call refused before it reached the host (a
+// blocked URL) leaves nothing behind. Closed circuits idle for `idleMs` are forgotten, and at most `maxHosts` are kept
+// (the longest-idle closed ones go first).
+
+export const RETRY_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const TRANSIENT_CODES = new Set([
+  'fetch_timeout', 'circuit_open', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+  'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH',
+]);
+
+/** Worth trying again later: timeouts, dropped connections, an open circuit, or an HTTP error with a retryable status */
+export function isTransientError(e) {
+  return TRANSIENT_CODES.has(e?.code) || (e?.code === 'http_error' && RETRY_STATUSES.has(e.status));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After is seconds or an HTTP date
+function retryAfterMs(resp) {
+  const v = resp?.headers?.get?.('retry-after');
+  if (!v) return 0;
+  const s = Number(v);
+  if (Number.isFinite(s)) return s * 1000;
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+}
+
+export function createHostCircuits({
+  retries = 2, baseDelayMs = 500, maxDelayMs = 8000, failureThreshold = 3, openMs = 30000,
+  idleMs = 30 * 60 * 1000, maxHosts = 1000,
+} = {}) {
+  const hosts = new Map();
+
+  // The host's circuit, or a fresh one that keep() registers once the host has been reached
+  function circuitFor(url) {
+    let host;
+    try { host = new URL(url).host.toLowerCase(); } catch { host = String(url); }
+    return hosts.get(host) || {
+      host, state: 'closed', failures: 0, probing: false, openedAt: null, retryAt: null,
+      lastError: null, lastFailureAt: null, lastSuccessAt: null, calls: 0, retries: 0, shortCircuited: 0, usedAt: 0,
+    };
+  }
+
+  function prune() {
+    const idle = [...hosts.values()].filter(c => c.state === 'closed').sort((a, b) => a.usedAt - b.usedAt);
+    let over = hosts.size - maxHosts;
+    for (const c of idle) {
+      if (over > 0) over--;
+      else if (Date.now() - c.usedAt < idleMs) break;
+      hosts.delete(c.host);
+    }
+  }
+
+  function keep(c) {
+    c.usedAt = Date.now();
+    if (hosts.get(c.host) === c) return;
+    hosts.set(c.host, c);
+    prune();
+  }
+
+  function admit(c) {
+    if (c.state === 'open' && Date.now() >= c.retryAt) c.state = 'half_open';
+    if (c.state === 'closed') return;
+    if (c.state === 'half_open' && !c.probing) { c.probing = true; return; }
+    c.shortCircuited++;
+    const retryAt = Math.max(c.retryAt, Date.now() + 1000); // a probe is in flight: check back shortly
+    throw Object.assign(new Error(`${c.host} is failing (${c.lastError}); not trying again before ${new Date(retryAt).toISOString()}`), {
+      code: 'circuit_open', host: c.host, retryAt,
+    });
+  }
+
+  function succeeded(c) {
+    Object.assign(c, { state: 'closed', failures: 0, probing: false, openedAt: null, retryAt: null, lastSuccessAt: new Date().toISOString() });
+  }
+
+  function failed(c, reason) {
+    Object.assign(c, { failures: c.failures + 1, probing: false, lastError: reason, lastFailureAt: new Date().toISOString() });
+    if (c.state === 'half_open' || c.failures >= failureThreshold) {
+      Object.assign(c, { state: 'open', openedAt: new Date().toISOString(), retryAt: Date.now() + openMs });
+    }
+  }
+
+  async function call(url, attempt, { deadline = Infinity } = {}) {
+    const c = circuitFor(url);
+    admit(c);
+    c.calls++;
+    for (let n = 0; ; n++) {
+      let resp = null, err = null;
+      try {
+        resp = await attempt({ attempt: n, timeoutMs: Number.isFinite(deadline) ? Math.max(1, deadline - Date.now()) : undefined });
+      } catch (e) {
+        if (!isTransientError(e)) { c.probing = false; throw e; } // the URL's problem, not the host's: nothing to keep
+        err = e;
+      }
+      keep(c);
+      if (resp && !RETRY_STATUSES.has(resp.status)) { succeeded(c); return resp; }
+
+      const reason = err ? err.code || err.message : `HTTP ${resp.status}`;
+      const wait = Math.max(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** n), Math.min(maxDelayMs, retryAfterMs(resp)));
+      if (n >= retries || Date.now() + wait >= deadline) {
+        failed(c, reason);
+        if (err) throw err;
+        return resp;
+      }
+      c.retries++;
+      resp?.body?.cancel?.().catch(() => {});
+      await sleep(wait);
+    }
+  }
+
+  function status() {
+    prune();
+    const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+    return [...hosts.values()]
+      .map(({ probing, retryAt, usedAt, ...c }) => ({ ...c, retryAt: iso(retryAt), probing: c.state === 'half_open' ? probing : undefined }))
+      .sort((a, b) => a.host.localeCompare(b.host));
+  }
+
+  return { call, status, config: { retries, baseDelayMs, maxDelayMs, failureThreshold, openMs, idleMs, maxHosts } };
+}
@@ -0,0 +1,115 @@
+// Image quality — cheap pre-decode metrics and the hints a client can act on (ESM)
+//
+//   const { metrics, hints } = assessQuality(lum, width, height, { located, frame });
+//
+// `lum` is the upload as grayscale (not normalized, so exposure and glare are real), one byte per pixel.
+// `located` are code regions from code-locator.js in `lum` pixels; `frame` is the upload's original size.
+// Hints: too_blurry, reduce_glare, too_dark, overexposed, low_resolution, move_closer, no_code_visible.
+
+// Thresholds, on a ≤1000 px copy
+const SHARPNESS_MIN = 100;    // Laplacian variance per 1000 of luminance variance
+const GLARE_PIXEL = 250;      // a pixel at or above this is blown out (when the paper isn't)
+const GLARE_CODE_MAX = 0.05;  // share of the code covered by solid blown-out blobs
+const GLARE_FRAME_MAX = 0.003; // …or of the frame
+const DARK_MAX = 50;          // mean luminance
+const BRIGHT_MIN = 235;
+const MIN_SHORT_SIDE = 480;   // upload pixels
+const CODE_AREA_MIN = 0.01;   // share of the frame the best code candidate covers
+const CODE_SIDE_MIN = 80;     // upload pixels
+
+/** Hints that make a decode pointless to attempt */
+export const BLOCKING_HINTS = new Set(['too_blurry', 'low_resolution']);
+
+// Variance of the 4-neighbour Laplacian (relative to the luminance variance, so a blurred high-contrast code
+// doesn't pass on contrast alone) and mean luminance over a box. Flat boxes have no sharpness to measure.
+function boxStats(lum, w, h, box) {
+  const x0 = Math.max(1, Math.floor(box.x)), y0 = Math.max(1, Math.floor(box.y));
+  const x1 = Math.min(w - 1, Math.ceil(box.x + box.width)), y1 = Math.min(h - 1, Math.ceil(box.y + box.height));
+  let n = 0, sum = 0, sq = 0, lsum = 0, lsq = 0;
+  for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) {
+    const i = y * w + x;
+    const lap = 4 * lum[i] - lum[i - 1] - lum[i + 1] - lum[i - w] - lum[i + w];
+    n++; sum += lap; sq += lap * lap; lsum += lum[i]; lsq += lum[i] * lum[i];
+  }
+  if (!n) return { sharpness: null, brightness: 0 };
+  const mean = sum / n, lmean = lsum / n;
+  const lapVar = sq / n - mean * mean, lumVar = lsq / n - lmean * lmean;
+  return { sharpness: lumVar > 25 ? (1000 * lapVar) / lumVar : null, brightness: lmean };
+}
+
+// Solid blown-out blobs: cells that are all saturated and whose neighbours are too (a one-cell erosion drops
+// the thin white quiet zones and gaps of a printed code). → { at(box) share of a box, frame share }
+function glareCells(lum, w, h, glareAt) {
+  const cell = Math.max(8, Math.round(Math.min(w, h) / 60));
+  const gw = Math.floor(w / cell), gh = Math.floor(h / cell);
+  const blown = new Uint8Array(gw * gh);
+  for (let cy = 0; cy < gh; cy++) for (let cx = 0; cx < gw; cx++) {
+    let all = 1;
+    for (let y = cy * cell; all && y < (cy + 1) * cell; y++) for (let x = cx * cell; x < (cx + 1) * cell; x++) {
+      if (lum[y * w + x] < glareAt) { all = 0; break; }
+    }
+    blown[cy * gw + cx] = all;
+  }
+  const solid = new Uint8Array(gw * gh);
+  for (let cy = 1; cy < gh - 1; cy++) for (let cx = 1; cx < gw - 1; cx++) {
+    let all = 1;
+    for (let dy = -1; all && dy <= 1; dy++) for (let dx = -1; dx <= 1; dx++) if (!blown[(cy + dy) * gw + cx + dx]) { all = 0; break; }
+    solid[cy * gw + cx] = all;
+  }
+  const share = (box) => {
+    const x0 = Math.max(0, Math.floor(box.x / cell)), y0 = Math.max(0, Math.floor(box.y / cell));
+    const x1 = Math.min(gw, Math.ceil((box.x + box.width) / cell)), y1 = Math.min(gh, Math.ceil((box.y + box.height) / cell));
+    let n = 0, on = 0;
+    for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) { n++; on += solid[y * gw + x]; }
+    return n ? on / n : 0;
+  };
+  return { share, frame: share({ x: 0, y: 0, width: w, height: h }) };
+}
+
+const r4 = (v) => Math.round(v * 10000) / 10000;
+
+// Paper white: the 75th-percentile luminance. Glare is light brighter than the paper, so a frame whose paper
+// is already saturated (a screenshot, a generated code) has none
+function paperLevel(lum) {
+  const hist = new Uint32Array(256);
+  for (let i = 0; i < lum.length; i++) hist[lum[i]]++;
+  for (let v = 0, acc = 0; v < 256; v++) if ((acc += hist[v]) >= lum.length * 0.75) return v;
+  return 255;
+}
+
+export function assessQuality(lum, w, h, { located = [], frame = { width: w, height: h } } = {}) {
+  const glare = glareCells(lum, w, h, paperLevel(lum) < GLARE_PIXEL - 10 ? GLARE_PIXEL : 256);
+  const whole = boxStats(lum, w, h, { x: 0, y: 0, width: w, height: h });
+  const best = located[0] || null;
+  const code = best ? boxStats(lum, w, h, best.box) : null;
+  const codeGlare = best ? glare.share(best.box) : null;
+  const k = frame.width / w; // lum → upload pixels
+  const codeArea = best ? (best.box.width * best.box.height) / (w * h) : 0;
+  const codeSide = best ? Math.min(best.box.width, best.box.height) * k : 0;
+
+  const round = (v) => (v == null ? null : Math.round(v));
+  const sharpness = code?.sharpness ?? whole.sharpness; // on the code when one was located
+  const metrics = {
+    width: frame.width,
+    height: frame.height,
+    sharpness: round(sharpness),
+    frameSharpness: round(whole.sharpness),
+    brightness: Math.round(whole.brightness),
+    glare: r4(glare.frame),
+    codeGlare: codeGlare == null ? null : r4(codeGlare),
+    codeArea: r4(codeArea),
+    codeSide: Math.round(codeSide),
+    regions: located.length,
+    finders: located.filter(r => r.kind === 'finder').length,
+  };
+
+  const hints = [];
+  if (sharpness != null && sharpness < SHARPNESS_MIN) hints.push('too_blurry');
+  if (codeGlare > GLARE_CODE_MAX || glare.frame > GLARE_FRAME_MAX) hints.push('reduce_glare');
+  if (whole.brightness < DARK_MAX) hints.push('too_dark');
+  else if (whole.brightness > BRIGHT_MIN) hints.push('overexposed');
+  if (Math.min(frame.width, frame.height) < MIN_SHORT_SIDE) hints.push('low_resolution');
+  if (!best) hints.push('no_code_visible');
+  else if (codeArea < CODE_AREA_MIN || codeSide < CODE_SIDE_MIN) hints.push('move_closer');
+  return { metrics, hints };
+}
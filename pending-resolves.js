@@ -0,0 +1,125 @@
+// Pending resolves — scanned codes whose COA couldn't be fetched yet, retried in the background (ESM)
+//
+//   const pending = createPendingResolves({ resolve, isTransient, baseDelayMs, maxDelayMs, maxAttempts, ttlMs });
+//   pending.add(code, { autocreate }, error)   → entry view (the existing one when the code is already pending)
+//   pending.get(id) / pending.list({ status }) → view(s)
+//   pending.counts()                           → { pending, running, done, failed }
+//
+// `resolve({ code, autocreate })` resolves with the result or throws. A transient error (`isTransient`) schedules
+// another try after a jittered exponential backoff, and never before an open circuit's `retryAt`; any other error,
+// or `maxAttempts` tries, fails the entry. One resolve runs at a time. Entries live in memory only (a restart drops
+// them; the code can simply be scanned again); settled ones are kept for `ttlMs`.
+
+import crypto from 'crypto';
+
+export function createPendingResolves({
+  resolve,
+  isTransient = () => false,
+  baseDelayMs = 15000,
+  maxDelayMs = 15 * 60 * 1000,
+  maxAttempts = 12,
+  ttlMs = 24 * 60 * 60 * 1000,
+}) {
+  const entries = new Map();
+  let timer = null;
+  let running = false;
+
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  const reason = (e) => (e ? String(e.code || e.message || e) : null);
+
+  function view(e) {
+    return {
+      id: e.id,
+      code: e.code,
+      autocreate: e.autocreate,
+      status: e.status,
+      attempts: e.attempts,
+      nextAttemptAt: e.status === 'pending' ? iso(e.nextAt) : null,
+      lastError: e.lastError,
+      createdAt: e.createdAt,
+      settledAt: e.settledAt,
+      result: e.result,
+    };
+  }
+
+  // Half the backoff for sure, the other half random: spread out, but never a tight loop
+  function delayFor(attempts, err) {
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempts);
+    return Math.max(backoff / 2 + Math.random() * (backoff / 2), (err?.retryAt || 0) - Date.now());
+  }
+
+  function prune() {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, e] of entries) if (e.settledAt && Date.parse(e.settledAt) < cutoff) entries.delete(id);
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (running) return;
+    prune();
+    let next = null;
+    for (const e of entries.values()) if (e.status === 'pending' && (!next || e.nextAt < next.nextAt)) next = e;
+    if (!next) return;
+    timer = setTimeout(() => runOne(next), Math.max(0, next.nextAt - Date.now()));
+    timer.unref?.(); // never keeps the process alive on its own
+  }
+
+  async function runOne(e) {
+    timer = null;
+    if (e.status !== 'pending') return schedule();
+    running = true;
+    e.status = 'running';
+    e.attempts++;
+    try {
+      e.result = await resolve({ code: e.code, autocreate: e.autocreate });
+      Object.assign(e, { status: 'done', settledAt: new Date().toISOString() });
+    } catch (err) {
+      e.lastError = reason(err);
+      if (isTransient(err) && e.attempts < maxAttempts) Object.assign(e, { status: 'pending', nextAt: Date.now() + delayFor(e.attempts, err) });
+      else Object.assign(e, { status: 'failed', settledAt: new Date().toISOString() });
+    } finally {
+      running = false;
+      schedule();
+    }
+  }
+
+  function add(code, { autocreate = false } = {}, err = null) {
+    for (const e of entries.values()) {
+      if (e.code === code && (e.status === 'pending' || e.status === 'running')) {
+        e.autocreate = e.autocreate || !!autocreate;
+        return view(e);
+      }
+    }
+    const e = {
+      id: crypto.randomUUID(),
+      code,
+      autocreate: !!autocreate,
+      status: 'pending',
+      attempts: 0,
+      nextAt: Date.now() + delayFor(0, err),
+      lastError: reason(err),
+      createdAt: new Date().toISOString(),
+      settledAt: null,
+      result: null,
+    };
+    entries.set(e.id, e);
+    schedule();
+    return view(e);
+  }
+
+  const get = (id) => (entries.has(id) ? view(entries.get(id)) : null);
+
+  function list({ status } = {}) {
+    prune();
+    return [...entries.values()].filter(e => !status || e.status === status).map(view);
+  }
+
+  function counts() {
+    const out = { pending: 0, running: 0, done: 0, failed: 0 };
+    for (const e of entries.values()) out[e.status]++;
+    return out;
+  }
+
+  return { add, get, list, counts };
+}
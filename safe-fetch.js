@@ -0,0 +1,173 @@
+// Safe fetch — the one outbound HTTP client for URLs that come from clients and scanned codes (ESM)
+//
+//   const safeFetch = createSafeFetch({ allowHosts, denyHosts, allowPrivate, maxBytes, timeoutMs, maxRedirects, accept });
+//   const resp = await safeFetch(url, { headers, timeoutMs })   → a fetch Response whose body has already been read (and capped)
+//   safeFetch.checkUrl(url)                                     → throws the rejection a fetch of `url` would, before any I/O
+//
+// The URL and every redirect are checked before they are requested:
+//   - http(s) only, no credentials in the URL
+//   - the host is not on `denyHosts`, and is on `allowHosts` when that is set (`example.com` covers its subdomains)
+//   - every address the host resolves to is public. The check runs inside the socket's DNS lookup, so the address
+//     connected to is the address checked (a name can't rebind between the two). `allowPrivate` lets loopback,
+//     LAN and CGNAT addresses through for local testing; link-local (cloud metadata), multicast and reserved never.
+// Responses are capped: `maxRedirects` hops, `maxBytes` of (decompressed) body, `timeoutMs` for the whole exchange
+// (a call can ask for less), and a 2xx Content-Type must start with one of `accept` (a missing header passes; the
+// content is sniffed later).
+//
+// Rejections throw an Error with `code` (FETCH_ERRORS maps each to the HTTP status to answer with) and `url`.
+
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import zlib from 'zlib';
+import { pipeline } from 'stream';
+
+/** Rejection code → HTTP status for the client that sent the URL */
+export const FETCH_ERRORS = {
+  invalid_url: 400,
+  scheme_not_allowed: 400,
+  host_denied: 403,
+  host_not_allowed: 403,
+  private_address: 403,
+  dns_failed: 502,
+  too_many_redirects: 502,
+  response_too_large: 502,
+  content_type_rejected: 502,
+  fetch_timeout: 504,
+};
+
+/** Content types a COA can come as */
+export const DOCUMENT_TYPES = ['application/pdf', 'application/x-pdf', 'text/html', 'application/xhtml+xml', 'text/plain', 'application/octet-stream', 'binary/octet-stream'];
+
+// Never fetched: unspecified, link-local (169.254.169.254 is the cloud metadata service), multicast, reserved, and
+// deprecated IPv4-compatible IPv6 (::/96, so [::127.0.0.1] is no way around the IPv4 rules)
+const NEVER = new net.BlockList();
+for (const [a, p] of [['0.0.0.0', 8], ['169.254.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]]) NEVER.addSubnet(a, p, 'ipv4');
+for (const [a, p] of [['::', 96], ['fe80::', 10], ['ff00::', 8]]) NEVER.addSubnet(a, p, 'ipv6');
+// Fetched only with `allowPrivate`: loopback, RFC 1918, CGNAT, IETF / documentation / benchmark ranges, ULA, NAT64,
+// 6to4 (2002::/16 tunnels to whatever IPv4 address it embeds, private ones included).
+// IPv4-mapped IPv6 (::ffff:10.0.0.1) matches the IPv4 rules.
+const PRIVATE = new net.BlockList();
+for (const [a, p] of [['127.0.0.0', 8], ['10.0.0.0', 8], ['172.16.0.0', 12], ['192.168.0.0', 16], ['100.64.0.0', 10],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24]]) PRIVATE.addSubnet(a, p, 'ipv4');
+for (const [a, p] of [['::1', 128], ['fc00::', 7], ['2001:db8::', 32], ['64:ff9b::', 96], ['2002::', 16]]) PRIVATE.addSubnet(a, p, 'ipv6');
+const LOOPBACK6 = new net.BlockList();
+LOOPBACK6.addAddress('::1', 'ipv6');
+
+const REDIRECTS = new Set([301, 302, 303, 307, 308]);
+const NULL_BODY = new Set([204, 205, 304]);
+const DECODERS = { gzip: zlib.createGunzip, 'x-gzip': zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress };
+
+const rejection = (code, message, url) => Object.assign(new Error(message), { code, url });
+
+function addressAllowed(ip, allowPrivate) {
+  const family = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+  if (NEVER.check(ip, family) && !(family === 'ipv6' && LOOPBACK6.check(ip, 'ipv6'))) return false; // ::1 sits in ::/96
+  return allowPrivate || !PRIVATE.check(ip, family);
+}
+
+// `example.com`, `.example.com` and `*.example.com` all mean the domain and its subdomains
+const hostList = (list) => (list || []).map(h => String(h).trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+const hostIn = (host, list) => list.some(h => host === h || host.endsWith(`.${h}`));
+
+export function createSafeFetch({
+  allowHosts = [],
+  denyHosts = [],
+  allowPrivate = false,
+  maxBytes = 25 * 1024 * 1024,
+  timeoutMs = 20000,
+  maxRedirects = 5,
+  accept = DOCUMENT_TYPES,
+} = {}) {
+  const allow = hostList(allowHosts);
+  const deny = hostList(denyHosts);
+
+  function checkUrl(raw) {
+    let u;
+    try { u = new URL(raw); } catch { throw rejection('invalid_url', `Not a URL: ${raw}`, raw); }
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') throw rejection('scheme_not_allowed', `Only http(s) URLs are fetched: ${u.protocol}`, raw);
+    if (u.username || u.password) throw rejection('invalid_url', 'URLs with credentials are not fetched', raw);
+    const host = u.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (hostIn(host, deny)) throw rejection('host_denied', `Host is denied: ${host}`, raw);
+    if (allow.length && !hostIn(host, allow)) throw rejection('host_not_allowed', `Host is not on the allowlist: ${host}`, raw);
+    // IP literals never reach the DNS lookup below
+    if (net.isIP(host) && !addressAllowed(host, allowPrivate)) throw rejection('private_address', `Address not allowed: ${host}`, raw);
+    return u;
+  }
+
+  // dns.lookup with every answer checked; the socket connects to what this returns
+  function lookup(hostname, options, cb) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addrs) => {
+      if (err) return cb(rejection('dns_failed', `Could not resolve ${hostname}: ${err.code || err.message}`));
+      const bad = addrs.find(a => !addressAllowed(a.address, allowPrivate));
+      if (bad) return cb(rejection('private_address', `${hostname} resolves to an address that is not allowed: ${bad.address}`));
+      if (options.all) return cb(null, addrs);
+      cb(null, addrs[0].address, addrs[0].family);
+    });
+  }
+
+  function get(u, headers, signal) {
+    return new Promise((resolve, reject) => {
+      const mod = u.protocol === 'https:' ? https : http;
+      const req = mod.request(u, { method: 'GET', headers, lookup, signal }, resolve);
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  async function readBody(res, url) {
+    const length = Number(res.headers['content-length']);
+    if (length > maxBytes) throw rejection('response_too_large', `Response is ${length} bytes (limit ${maxBytes})`, url);
+    const decode = DECODERS[String(res.headers['content-encoding'] || '').trim().toLowerCase()];
+    const body = decode ? pipeline(res, decode(), () => {}) : res;
+    const chunks = [];
+    let n = 0;
+    for await (const chunk of body) {
+      n += chunk.length;
+      if (n > maxBytes) throw rejection('response_too_large', `Response is over ${maxBytes} bytes`, url);
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async function safeFetch(url, { headers = {}, timeoutMs: callTimeoutMs } = {}) {
+    const limitMs = Math.min(timeoutMs, callTimeoutMs ?? Infinity);
+    const ac = new AbortController();
+    const timer = setTimeout(() => ac.abort(), limitMs);
+    let res = null;
+    try {
+      let u = checkUrl(String(url));
+      for (let hops = 0; ; hops++) {
+        res = await get(u, { 'Accept-Encoding': 'gzip, deflate, br', ...headers }, ac.signal);
+        const location = res.headers.location;
+        if (!REDIRECTS.has(res.statusCode) || !location) break;
+        res.resume();
+        if (hops >= maxRedirects) throw rejection('too_many_redirects', `More than ${maxRedirects} redirects`, url);
+        u = checkUrl(new URL(location, u).href);
+      }
+
+      const status = res.statusCode;
+      const contentType = String(res.headers['content-type'] || '');
+      if (status >= 200 && status < 300 && contentType && accept?.length
+        && !accept.some(t => contentType.toLowerCase().startsWith(t))) {
+        throw rejection('content_type_rejected', `Unexpected content type: ${contentType}`, url);
+      }
+      const body = NULL_BODY.has(status) ? null : await readBody(res, url);
+
+      const out = new Headers();
+      for (const [k, v] of Object.entries(res.headers)) if (v != null) out.set(k, Array.isArray(v) ? v.join(', ') : v);
+      out.delete('content-encoding'); // the body is decoded
+      out.delete('content-length');
+      return new Response(body, { status, statusText: res.statusMessage || '', headers: out });
+    } catch (e) {
+      if (ac.signal.aborted) throw rejection('fetch_timeout', `No complete response within ${limitMs} ms`, url);
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      res?.destroy();
+    }
+  }
+  safeFetch.checkUrl = (url) => { checkUrl(String(url)); };
+  return safeFetch;
+}
@@ -0,0 +1,139 @@
+// Scan jobs — bounded in-memory queue for long-running scan-upload work (ESM)
+//
+//   const jobs = createJobQueue({ run, concurrency, maxQueued, ttlMs });
+//   const job = jobs.submit(input)   → job view, or null when every slot is busy and maxQueued jobs already wait
+//   jobs.get(id) / jobs.cancel(id)   → job view | null
+//   jobs.subscribe(id, fn)           → unsubscribe(); fn(view) on every update, last call is terminal
+//
+// `run(input, { signal, onProgress })` does the work and resolves with the result; onProgress({ stage, attempts, quality })
+// reports where it is (`quality` is the image pre-check, known once decoding starts). Jobs live in memory only:
+// a restart drops them (clients just re-upload).
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const TERMINAL = new Set(['done', 'failed', 'cancelled']);
+export const isTerminal = (status) => TERMINAL.has(status);
+
+export function createJobQueue({ run, concurrency = 1, maxQueued = 20, ttlMs = 10 * 60 * 1000, progressEveryMs = 250 }) {
+  const jobs = new Map();
+  const queue = [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let active = 0;
+
+  function view(job) {
+    const pos = queue.indexOf(job);
+    return {
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      attempts: job.attempts,
+      quality: job.quality,
+      queuePosition: pos >= 0 ? pos + 1 : undefined,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      ms: job.startedAt ? (job.finishedAt ? Date.parse(job.finishedAt) : Date.now()) - Date.parse(job.startedAt) : undefined,
+      result: job.result,
+      error: job.error,
+    };
+  }
+
+  function emit(job) {
+    job.lastEmit = Date.now();
+    events.emit(job.id, view(job));
+  }
+
+  function finish(job, status, fields = {}) {
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() }); // stage stays where it stopped
+    job.input = null; // drop the image
+    emit(job);
+    events.removeAllListeners(job.id);
+  }
+
+  async function start(job) {
+    active++;
+    Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+    emit(job);
+    try {
+      const result = await run(job.input, {
+        signal: job.controller.signal,
+        onProgress({ stage, attempts, quality }) {
+          const stageChanged = stage && stage !== job.stage;
+          if (stage) job.stage = stage;
+          if (attempts != null) job.attempts = attempts;
+          if (quality) job.quality = quality;
+          // stage changes go out right away; attempt counts at most every progressEveryMs
+          if (stageChanged || Date.now() - job.lastEmit >= progressEveryMs) emit(job);
+        },
+      });
+      if (job.controller.signal.aborted) finish(job, 'cancelled');
+      else finish(job, 'done', { result });
+    } catch (e) {
+      if (job.controller.signal.aborted) finish(job, 'cancelled');
+      else finish(job, 'failed', { error: String(e?.message || e) });
+    } finally {
+      active--;
+      pump();
+    }
+  }
+
+  function pump() {
+    while (active < concurrency && queue.length) {
+      start(queue.shift());
+      for (const j of queue) emit(j); // queue positions moved
+    }
+  }
+
+  // Forget finished jobs after ttlMs
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, job] of jobs) if (isTerminal(job.status) && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+  }, Math.min(ttlMs, 60 * 1000));
+  sweep.unref?.();
+
+  return {
+    submit(input) {
+      // a free slot takes the job right away; maxQueued only caps jobs that would have to wait
+      if (active >= concurrency && queue.length >= maxQueued) return null;
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        stage: 'queued',
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        input,
+        controller: new AbortController(),
+        lastEmit: 0,
+      };
+      jobs.set(job.id, job);
+      queue.push(job);
+      pump();
+      return view(job);
+    },
+    get(id) {
+      const job = jobs.get(id);
+      return job ? view(job) : null;
+    },
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (isTerminal(job.status)) return view(job);
+      const i = queue.indexOf(job);
+      if (i >= 0) {
+        queue.splice(i, 1);
+        finish(job, 'cancelled');
+        for (const j of queue) emit(j);
+      } else {
+        job.controller.abort(); // run() stops at its next check; start() records it as cancelled
+      }
+      return view(job);
+    },
+    subscribe(id, fn) {
+      events.on(id, fn);
+      return () => events.off(id, fn);
+    },
+    stats: () => ({ active, queued: queue.length, concurrency, maxQueued, jobs: jobs.size }),
+  };
+}
@@ -0,0 +1,319 @@
+// Scan worker — ZXing decoding and Tesseract OCR off the main thread (worker_threads entry, ESM)
+//
+// Tasks (see worker-pool.js for the message protocol):
+//   { type: 'decode', image, deg, regions, filters, minShort, upscales, deadline, control, debugDir, tag }
+//       → { text, format, tag } | null
+//   { type: 'quality', image, frame } → { metrics, hints, located } (image-quality.js; `image` is the un-normalized upload)
+//   { type: 'locate', image, maxRegions } → [{ kind, box, quad?, score, bars? }] (see code-locator.js; `image` pixels)
+//   { type: 'decodeAll', image, regions, filters, minShort, maxPerRegion, deadline, control }
+//       → [{ text, format, box: { x, y, width, height } }] (box in `image` pixels)
+//   { type: 'ocr', image, deg, filter, full, deadline, control, tag } → { text, confidence, tag } | null
+//       (`full` reads all text; otherwise only URL / batch-number characters)
+//
+// decode regions are { name, factor, ax, ay } crops of the frame rotated by `deg`, or located regions cut from
+// the unrotated frame: { name, quad } (perspective-corrected) or { name, box, deg } (box rotated by its own deg).
+// `image` for decode is { data: SharedArrayBuffer, width, height, channels } (raw pixels, shared, not copied);
+// for OCR it's an encoded image Buffer. `control` is a SharedArrayBuffer Int32Array: [0] stop flag
+// (set by the main thread when another variant won, the job was cancelled or the budget ran out),
+// [1] attempt counter shared by every worker on the same scan.
+
+import { parentPort } from 'worker_threads';
+import path from 'path';
+import sharp from 'sharp';
+import {
+  MultiFormatReader,
+  BarcodeFormat,
+  DecodeHintType,
+  RGBLuminanceSource,
+  BinaryBitmap,
+  HybridBinarizer,
+  GlobalHistogramBinarizer,
+} from '@zxing/library';
+import { createWorker } from 'tesseract.js';
+import { locateCodes, warpQuad } from './code-locator.js';
+import { assessQuality } from './image-quality.js';
+
+// Named so tasks can be posted as plain data (and debug file names say what was tried)
+const FILTERS = {
+  none:       (img) => img,
+  sharpen:    (img) => img.sharpen(),
+  gamma:      (img) => img.gamma(1.2),
+  contrast:   (img) => img.linear(1.25, 0),
+  brighten:   (img) => img.modulate({ brightness: 1.18, saturation: 1.04 }),
+  soften:     (img) => img.blur(0.5),
+  thr140:     (img) => img.threshold(140),
+  thr170:     (img) => img.threshold(170),
+  thr200:     (img) => img.threshold(200),
+  // OCR passes
+  ocrBright:  (img) => img.modulate({ brightness: 1.25 }),
+  ocrLinear:  (img) => img.linear(1.25, -5),
+  thr150:     (img) => img.threshold(150),
+  thr190:     (img) => img.threshold(190),
+  blurThr165: (img) => img.blur(0.4).threshold(165),
+};
+
+/* ===== ZXing ===== */
+const hints = new Map();
+hints.set(DecodeHintType.POSSIBLE_FORMATS, [
+  BarcodeFormat.QR_CODE, BarcodeFormat.EAN_13, BarcodeFormat.EAN_8, BarcodeFormat.UPC_A, BarcodeFormat.UPC_E,
+  BarcodeFormat.CODE_128, BarcodeFormat.CODE_39, BarcodeFormat.ITF, BarcodeFormat.AZTEC,
+  BarcodeFormat.DATA_MATRIX, BarcodeFormat.PDF_417
+]);
+hints.set(DecodeHintType.TRY_HARDER, true);
+const reader = new MultiFormatReader();
+reader.setHints(hints);
+
+// `channels` from sharp's raw info: a grayscale pipeline comes out as 1 (or 2 with alpha), not 4
+function rgbaToLuminance(rgba, width, height, channels = 4) {
+  const out = new Uint8ClampedArray(width * height);
+  if (channels < 3) {
+    for (let i = 0, j = 0; j < out.length; i += channels, j++) out[j] = rgba[i];
+    return out;
+  }
+  for (let i = 0, j = 0; j < out.length; i += channels, j++) {
+    const r = rgba[i], g = rgba[i + 1], b = rgba[i + 2];
+    out[j] = (0.2126 * r + 0.7152 * g + 0.0722 * b) | 0;
+  }
+  return out;
+}
+
+async function decode(t, progress) {
+  const ctl = new Int32Array(t.control);
+  const stopped = () => Atomics.load(ctl, 0) !== 0 || Date.now() > t.deadline;
+  if (stopped()) return null;
+
+  const src = sharp(Buffer.from(t.image.data), { raw: { width: t.image.width, height: t.image.height, channels: t.image.channels } });
+  // Rotate once, materialized, so crops below use the rotated size (only anchor crops need it)
+  let base = null, W = 0, H = 0;
+  if (t.regions.some(r => !r.quad && !r.box)) {
+    const rot = await src.clone().rotate(t.deg || 0).raw().toBuffer({ resolveWithObject: true });
+    W = rot.info.width; H = rot.info.height;
+    base = sharp(rot.data, { raw: { width: W, height: H, channels: rot.info.channels } });
+  }
+  const materialize = async (img) => {
+    const m = await img.raw().toBuffer({ resolveWithObject: true });
+    return [sharp(m.data, { raw: { width: m.info.width, height: m.info.height, channels: m.info.channels } }), { width: m.info.width, height: m.info.height }];
+  };
+
+  async function tryDecodeFrom(img, tag) {
+    const m2 = { width: W, height: H, ...(img.__size || {}) };
+    for (const scale of t.upscales) {
+      if (stopped()) return null;
+      const shortEdge = Math.min(m2.width || 0, m2.height || 0);
+      const factor = shortEdge > 0 ? Math.max(1, Math.ceil((t.minShort / shortEdge) * scale)) : 1;
+      const targetW = Math.max(48, Math.round((m2.width || t.minShort) * factor));
+      const piped = img.clone().resize({ width: targetW });
+      const n = Atomics.add(ctl, 1, 1) + 1;
+      progress({ attempts: n });
+      if (t.debugDir) {
+        try { await piped.clone().png().toFile(path.join(t.debugDir, `attempt_${String(n).padStart(3, '0')}_${tag}_resize${targetW}.png`)); } catch {}
+      }
+
+      const { data, info } = await piped.raw().toBuffer({ resolveWithObject: true });
+      const luminance = rgbaToLuminance(data, info.width, info.height, info.channels);
+      const source = new RGBLuminanceSource(luminance, info.width, info.height);
+      for (const bitmap of [new BinaryBitmap(new HybridBinarizer(source)), new BinaryBitmap(new GlobalHistogramBinarizer(source))]) {
+        try {
+          const result = reader.decode(bitmap);
+          const text = String(result.getText() || '').trim();
+          if (text) return { text, format: BarcodeFormat[result.getBarcodeFormat()] };
+        } catch {}
+        if (stopped()) return null;
+      }
+    }
+    return null;
+  }
+
+  for (const r of t.regions) {
+    let work = base, size = null;
+    if (stopped()) return null;
+    if (r.quad) {
+      const [tl, tr, br, bl] = r.quad;
+      const edge = Math.max(Math.hypot(tr.x - tl.x, tr.y - tl.y), Math.hypot(bl.x - tl.x, bl.y - tl.y), Math.hypot(br.x - bl.x, br.y - bl.y));
+      const side = Math.round(Math.min(1200, Math.max(96, edge)));
+      const { width, height, channels } = t.image;
+      const lum = channels === 1 ? new Uint8Array(t.image.data) : rgbaToLuminance(new Uint8Array(t.image.data), width, height, channels);
+      work = sharp(Buffer.from(warpQuad(lum, width, height, r.quad, side).buffer), { raw: { width: side, height: side, channels: 1 } });
+      size = { width: side, height: side };
+    } else if (r.box) {
+      const left = Math.max(0, Math.floor(r.box.x)), top = Math.max(0, Math.floor(r.box.y));
+      const width = Math.min(t.image.width - left, Math.ceil(r.box.width)), height = Math.min(t.image.height - top, Math.ceil(r.box.height));
+      if (width < 8 || height < 8) continue;
+      let cut = src.clone().extract({ left, top, width, height });
+      if (r.deg) cut = cut.rotate(r.deg, { background: '#ffffff' });
+      [work, size] = await materialize(cut);
+    } else if (r.factor && r.factor < 1) {
+      const s = Math.max(2, Math.floor(Math.min(W, H) * r.factor));
+      const left = Math.max(0, Math.min(W - s, Math.round((W - s) * r.ax)));
+      const top  = Math.max(0, Math.min(H - s, Math.round((H - s) * r.ay)));
+      work = base.clone().extract({ left, top, width: s, height: s });
+      size = { width: s, height: s };
+    }
+    for (const f of t.filters) {
+      if (stopped()) return null;
+      let img;
+      try { img = FILTERS[f](work.clone()); } catch { continue; }
+      img.__size = size;
+      const tag = `${t.tag}_rot${t.deg}_${r.name}_${f}`;
+      const got = await tryDecodeFrom(img, tag);
+      if (got) return { ...got, tag };
+    }
+  }
+  return null;
+}
+
+/* ===== Every code in an image ===== */
+// Padded box around a result's points. QR points are finder-pattern centres; 1D results are points on
+// one scan line, so the bars' height is a guess (a share of the width).
+function resultBox(points, w, h) {
+  const xs = points.map(p => p.getX()), ys = points.map(p => p.getY());
+  let x0 = Math.min(...xs), x1 = Math.max(...xs), y0 = Math.min(...ys), y1 = Math.max(...ys);
+  const bw = x1 - x0, bh = y1 - y0;
+  const pad = 0.2 * Math.max(bw, bh) + 4;
+  const vpad = bh < bw * 0.2 ? Math.max(pad, bw * 0.35) : pad;
+  x0 = Math.max(0, x0 - pad); x1 = Math.min(w, x1 + pad);
+  y0 = Math.max(0, y0 - vpad); y1 = Math.min(h, y1 + vpad);
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+// Decode, blank the found code out, decode again — until nothing new turns up
+function decodeEach(lum, w, h, max, tick, stopped) {
+  const out = [];
+  const seen = new Set();
+  while (out.length < max && !stopped()) {
+    tick();
+    let result = null;
+    const source = new RGBLuminanceSource(lum, w, h);
+    for (const bitmap of [new BinaryBitmap(new HybridBinarizer(source)), new BinaryBitmap(new GlobalHistogramBinarizer(source))]) {
+      try { result = reader.decode(bitmap); break; } catch {}
+    }
+    const text = result && String(result.getText() || '').trim();
+    const points = result?.getResultPoints()?.filter(Boolean) || [];
+    if (!text || !points.length || seen.has(text)) break; // nothing left, or the mask missed it
+    seen.add(text);
+    const box = resultBox(points, w, h);
+    out.push({ text, format: BarcodeFormat[result.getBarcodeFormat()], box });
+    for (let y = Math.floor(box.y); y < Math.ceil(box.y + box.height); y++) lum.fill(255, y * w + Math.floor(box.x), y * w + Math.ceil(box.x + box.width));
+  }
+  return out;
+}
+
+async function decodeAll(t, progress) {
+  const ctl = new Int32Array(t.control);
+  const stopped = () => Atomics.load(ctl, 0) !== 0 || Date.now() > t.deadline;
+  const { width: W, height: H, channels } = t.image;
+  const src = sharp(Buffer.from(t.image.data), { raw: { width: W, height: H, channels } });
+  const found = new Map();
+  for (const r of t.regions) { // { name, x, y, w, h } as fractions of the image
+    const left = Math.round(r.x * W), top = Math.round(r.y * H);
+    const width = Math.min(W - left, Math.round(r.w * W)), height = Math.min(H - top, Math.round(r.h * H));
+    if (width < 16 || height < 16) continue;
+    for (const f of t.filters) {
+      if (stopped()) return [...found.values()];
+      let img;
+      try { img = FILTERS[f](src.clone().extract({ left, top, width, height })); } catch { continue; }
+      const scale = Math.max(1, t.minShort / Math.min(width, height));
+      const { data, info } = await img.resize({ width: Math.round(width * scale) }).raw().toBuffer({ resolveWithObject: true });
+      const lum = rgbaToLuminance(data, info.width, info.height, info.channels);
+      const sx = width / info.width, sy = height / info.height;
+      const hits = decodeEach(lum, info.width, info.height, t.maxPerRegion || 8, () => progress({ attempts: Atomics.add(ctl, 1, 1) + 1 }), stopped);
+      for (const hit of hits) {
+        if (found.has(hit.text)) continue;
+        const b = hit.box;
+        found.set(hit.text, {
+          text: hit.text, format: hit.format, region: r.name,
+          box: { x: Math.round(left + b.x * sx), y: Math.round(top + b.y * sy), width: Math.round(b.width * sx), height: Math.round(b.height * sy) },
+        });
+      }
+    }
+  }
+  return [...found.values()];
+}
+
+/* ===== Localization ===== */
+// Runs on a ≤1000 px copy (plenty for finder patterns and edge blocks); results come back in `image` pixels
+async function locate(t) {
+  const { width, height, channels } = t.image;
+  const scale = Math.min(1, 1000 / Math.max(width, height));
+  const { data, info } = await sharp(Buffer.from(t.image.data), { raw: { width, height, channels } })
+    .resize({ width: Math.round(width * scale) }).raw().toBuffer({ resolveWithObject: true });
+  const lum = rgbaToLuminance(data, info.width, info.height, info.channels);
+  const k = width / info.width;
+  const up = (p) => ({ x: p.x * k, y: p.y * k });
+  return locateCodes(lum, info.width, info.height, { maxRegions: t.maxRegions }).map(r => ({
+    ...r,
+    box: { x: r.box.x * k, y: r.box.y * k, width: r.box.width * k, height: r.box.height * k },
+    ...(r.quad ? { quad: r.quad.map(up), module: r.module * k } : {}),
+  }));
+}
+
+// Quality metrics on the ≤1000 px un-normalized copy; `located` stays in its pixels for the caller to scale
+async function quality(t) {
+  const { width, height, channels } = t.image;
+  const lum = channels === 1 ? new Uint8Array(t.image.data) : rgbaToLuminance(new Uint8Array(t.image.data), width, height, channels);
+  const located = locateCodes(lum, width, height, { maxRegions: 8 });
+  return { ...assessQuality(lum, width, height, { located, frame: t.frame }), located };
+}
+
+/* ===== Tesseract: one long-lived engine per worker thread ===== */
+const CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_:/.-';
+let ocrEngine = null;
+let ocrWhitelist = null; // what the engine is set to now; tasks on one thread run one at a time
+function getOcrEngine() {
+  if (!ocrEngine) {
+    let failed = null;
+    ocrEngine = createWorker('eng', 1, {
+      // surfaced through the rejected promise instead of thrown on this thread
+      errorHandler: (e) => { failed = e; },
+    }).then(async (w) => {
+      await w.setParameters({ tessedit_char_whitelist: CODE_CHARS, preserve_interword_spaces: '1' });
+      ocrWhitelist = CODE_CHARS;
+      return w;
+    }).catch((e) => {
+      ocrEngine = null; // retry on the next task (e.g. language data wasn't reachable)
+      throw new Error(`OCR engine unavailable: ${e?.message || failed || e}`);
+    });
+  }
+  return ocrEngine;
+}
+
+async function ocr(t) {
+  const ctl = t.control ? new Int32Array(t.control) : null;
+  if ((ctl && Atomics.load(ctl, 0) !== 0) || (t.deadline && Date.now() > t.deadline)) return null;
+  let img = sharp(Buffer.from(t.image)).rotate(t.deg || 0);
+  try { img = FILTERS[t.filter || 'none'](img); } catch {}
+  const pre = await img.toBuffer();
+  // recognition runs on tesseract's own thread, so the deadline can cut it short here
+  const whitelist = t.full ? '' : CODE_CHARS;
+  const read = getOcrEngine().then(async (engine) => {
+    if (ocrWhitelist !== whitelist) {
+      ocrWhitelist = whitelist; // before awaiting: the engine's own job queue keeps later tasks in order
+      await engine.setParameters({ tessedit_char_whitelist: whitelist });
+    }
+    return (await engine.recognize(pre)).data;
+  });
+  const data = await beforeDeadline(read, t.deadline);
+  if (!data) return null;
+  return { text: (data.text || '').replace(/\r/g, ' ').replace(/[ \t]+/g, ' ').trim(), confidence: data.confidence ?? null, tag: t.tag };
+}
+
+function beforeDeadline(promise, deadline) {
+  if (!deadline) return promise;
+  let timer;
+  const expired = new Promise((resolve) => { timer = setTimeout(resolve, Math.max(0, deadline - Date.now()), null); });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+parentPort.on('message', async ({ id, task }) => {
+  try {
+    const progress = (p) => parentPort.postMessage({ id, progress: p });
+    const result = task.type === 'ocr' ? await ocr(task)
+      : task.type === 'quality' ? await quality(task)
+      : task.type === 'locate' ? await locate(task)
+      : task.type === 'decodeAll' ? await decodeAll(task, progress)
+      : await decode(task, progress);
+    parentPort.postMessage({ id, result });
+  } catch (e) {
+    parentPort.postMessage({ id, error: String(e?.message || e) });
+  }
+});
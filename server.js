@@ -8,18 +8,9 @@ import sharp from 'sharp';
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import crypto from 'crypto';
+import { setMaxListeners } from 'events';
 
-import {
-  MultiFormatReader,
-  BarcodeFormat,
-  DecodeHintType,
-  RGBLuminanceSource,
-  BinaryBitmap,
-  HybridBinarizer,
-  GlobalHistogramBinarizer,
-} from '@zxing/library';
-
-import Tesseract from 'tesseract.js';
 import { fileURLToPath } from 'url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -32,28 +23,18 @@ const upload = multer({
 // Bring in your CJS scraper (returns parsed COA fields)
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
-const { parseCoa } = require('./coa-scraper.cjs');
-
-/* ================= fetch polyfill (Node < 18) ================= */
-let _fetch = null;
-async function getFetch() {
-  if (typeof fetch !== 'undefined') return fetch;
-  if (_fetch) return _fetch;
-  const mod = await import('node-fetch');
-  _fetch = mod.default || mod;
-  return _fetch;
-}
-
-/* ================= pdf-parse lazy import ================= */
-let _pdfParse = null;
-async function getPdfParse() {
-  if (_pdfParse) return _pdfParse;
-  const mod = await import('pdf-parse');
-  const fn = mod.default || mod;
-  // Return a function that behaves like pdf-parse(buf) → { text, ... }
-  _pdfParse = (buf) => fn(buf);
-  return _pdfParse;
-}
+const {
+  extractCoa, extractLabel, hasCoaSignal, topTerpenes, terpeneProfile, cannabinoidPanel, CANNABINOIDS, canonTerp,
+  guessNameFromCode, documentText, isPdfBuffer, scrapeCoaText, strainFromFields, typeToBucket, bucketToLean,
+} = require('./coa-scraper.cjs');
+import { createRepository } from './storage.js';
+import { createCoaCache } from './coa-cache.js';
+import { createJobQueue, isTerminal } from './scan-jobs.js';
+import { createWorkerPool, defaultPoolSize } from './worker-pool.js';
+import { BLOCKING_HINTS } from './image-quality.js';
+import { createSafeFetch, FETCH_ERRORS } from './safe-fetch.js';
+import { createHostCircuits, isTransientError } from './host-circuits.js';
+import { createPendingResolves } from './pending-resolves.js';
 
 /* ================= App & middleware ================= */
 const app = express();
@@ -63,46 +44,145 @@ app.use(express.json());
 // Allow CORS preflight on /api/scan
 app.options('/api/scan', cors(), (req, res) => res.sendStatus(204));
 
-/* ================= In-memory "DB" + JSON persistence ================= */
-const STRAINS = [];
+/* ================= Storage (repository over a JSON file or SQLite) ================= */
 const toId = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
 
 const DATA_DIR  = process.env.DATA_DIR  || path.resolve(process.cwd(), 'data');
 const DATA_FILE = process.env.DATA_FILE || path.join(DATA_DIR, 'strains.json');
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json'; // json | sqlite
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'strains.sqlite');
+
+// Fetched COAs (bytes, extracted text, validators) so resolves skip the download and survive a vendor removing a COA
+const coaCache = createCoaCache({
+  dir: process.env.COA_CACHE_DIR || path.join(DATA_DIR, 'coa-cache'),
+  ttlMs: (Number(process.env.COA_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  offline: process.env.COA_OFFLINE === '1',
+});
+
+// Every URL a client or a scanned code hands us is fetched through this: public addresses only, capped, timed out
+const hostsEnv = (name) => String(process.env[name] || '').split(',').map(s => s.trim()).filter(Boolean);
+const FETCH_TIMEOUT_MS = (Number(process.env.FETCH_TIMEOUT_SECONDS) || 20) * 1000;
+const safeFetch = createSafeFetch({
+  allowHosts: hostsEnv('FETCH_ALLOW_HOSTS'),
+  denyHosts: hostsEnv('FETCH_DENY_HOSTS'),
+  allowPrivate: process.env.FETCH_ALLOW_PRIVATE === '1',
+  maxBytes: (Number(process.env.FETCH_MAX_MB) || 25) * 1024 * 1024,
+  timeoutMs: FETCH_TIMEOUT_MS,
+  maxRedirects: Number(process.env.FETCH_MAX_REDIRECTS || 5),
+});
+
+// Vendor hosts: transient failures retried with backoff; a host that keeps failing is skipped for a while
+const hostCircuits = createHostCircuits({
+  retries: Number(process.env.FETCH_RETRIES || 2),
+  failureThreshold: Number(process.env.CIRCUIT_FAILURES) || 3,
+  openMs: (Number(process.env.CIRCUIT_OPEN_SECONDS) || 30) * 1000,
+});
+
+/**
+ * A refused or failed COA fetch answers with its own status and code: safe-fetch rejections, `circuit_open` (503 with
+ * Retry-After) and transient vendor failures (502 `upstream_unavailable`). Anything else → null (caller decides).
+ */
+function sendFetchFailure(res, e) {
+  if (e?.code === 'circuit_open') {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((e.retryAt - Date.now()) / 1000))));
+    return res.status(503).json({ error: 'circuit_open', detail: e.message, host: e.host, retryAt: new Date(e.retryAt).toISOString() });
+  }
+  if (FETCH_ERRORS[e?.code]) return res.status(FETCH_ERRORS[e.code]).json({ error: e.code, detail: String(e.message || e.code) });
+  if (isTransientError(e)) return res.status(502).json({ error: 'upstream_unavailable', detail: String(e.message || e.code) });
+  return null;
+}
 
 async function ensureDir(p) { try { await fs.mkdir(p, { recursive: true }); } catch {} }
 async function ensureDataDir() { return ensureDir(DATA_DIR); }
 
-async function loadDB() {
-  try {
-    const raw = await fs.readFile(DATA_FILE, 'utf8');
-    const arr = JSON.parse(raw);
-    if (Array.isArray(arr)) {
-      STRAINS.splice(0, STRAINS.length, ...arr);
-      console.log(`[db] loaded ${STRAINS.length} strains from ${DATA_FILE}`);
-    }
-  } catch {
-    console.log('[db] no existing DB, starting fresh');
-  }
+const repo = createRepository(STORAGE_BACKEND, {
+  dataDir: DATA_DIR,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE,
+  persistence: {
+    debounceMs: Number(process.env.DB_SAVE_DEBOUNCE_MS) || 250,
+    backups: process.env.DB_BACKUPS == null ? 5 : Number(process.env.DB_BACKUPS),
+    backupIntervalMs: (Number(process.env.DB_BACKUP_INTERVAL_MIN) || 10) * 60 * 1000,
+  },
+  indexKeys: (x) => ({
+    ids: [String(x.id).toLowerCase(), ...(x.mergedIds || [])],
+    codes: [...strainCodes(x), ...(x.barcodes || []).map(b => b.code)],
+    names: strainNames(x).map(toId),
+  }),
+  // records from before batch history get their current values as a first batch
+  migrate: (x) => (Array.isArray(x.batches) ? x : applyBatchSummary(normalizeStrain(x))),
+});
+
+// A name worth keying on (not a placeholder or a URL's digits)
+const isMeaningfulName = (name) => /[a-z]/i.test(String(name || '')) && toId(name) !== 'unknownstrain';
+
+const strainCodes = (x) => [x.code, ...(x.codes || []), ...(x.batches || []).map(b => b.code)].filter(Boolean);
+const strainNames = (x) => [x.name, ...(x.aliases || [])].filter(isMeaningfulName);
+
+/**
+ * Same record by id (or an id merged into it), else by a code it already owns,
+ * else by name/alias — so a new batch or an old code of a known strain lands on it
+ */
+function findStrain(s) {
+  const rec = repo.findBy('id', String(s.id || '').toLowerCase()) || (s.code ? repo.findBy('code', s.code) : null);
+  if (rec || !isMeaningfulName(s.name)) return rec;
+  return repo.findBy('name', toId(s.name));
 }
-async function saveDB() {
-  try {
-    await ensureDataDir();
-    await fs.writeFile(DATA_FILE, JSON.stringify(STRAINS, null, 2), 'utf8');
-  } catch (e) {
-    console.warn('[db] save failed:', e?.message || e);
+
+const getStrain = (id) => findStrain({ id });
+
+// Soft-deleted records (`deletedAt`) are left out of lists, lookups and rankings, but keep their id, codes and names
+// reserved: a save or scan that lands on one reports it deleted, and only a restore brings it back
+const isLive = (x) => !x.deletedAt;
+const liveStrains = () => repo.all().filter(isLive);
+const liveStrain = (id) => {
+  const s = getStrain(id);
+  return s && isLive(s) ? s : null;
+};
+const deletedStrain = (s) => ({
+  error: 'deleted', detail: `POST /api/strains/${s.id}/restore brings it back`, id: s.id, name: s.name, deletedAt: s.deletedAt,
+});
+
+/** Case/spacing-insensitive alias list, minus the record's own name */
+function mergeAliases(name, ...lists) {
+  const seen = new Set([toId(name)]);
+  const out = [];
+  for (const a of lists.flat()) {
+    const k = toId(a);
+    if (!isMeaningfulName(a) || seen.has(k)) continue;
+    seen.add(k); out.push(String(a).trim());
   }
+  return out;
 }
 
-function upsertStrain(s) {
-  const i = STRAINS.findIndex((x) => String(x.id) === String(s.id));
-  if (i >= 0) STRAINS[i] = s;
-  else STRAINS.unshift(s);
-  saveDB().catch(() => {});
+/**
+ * Insert or merge: batches are folded into the existing history. A stored
+ * real name wins over an incoming one (which becomes an alias); a placeholder
+ * name (code digits, "Unknown Strain") is replaced. A soft-deleted record is
+ * returned untouched (still deleted) unless `restore` is set
+ */
+function upsertStrain(s, { restore = false } = {}) {
+  const prev = findStrain(s);
+  if (prev && !isLive(prev) && !restore) return prev;
+  let rec = s;
+  if (prev) {
+    const name = isMeaningfulName(prev.name) ? prev.name : s.name;
+    rec = {
+      ...prev, ...s,
+      id: prev.id,
+      name,
+      aliases: mergeAliases(name, prev.aliases || [], s.aliases || [], [s.name, prev.name]),
+      batches: mergeBatches(prev.batches, s.batches),
+      ...(prev.manual || s.manual ? { manual: [...new Set([...(prev.manual || []), ...(s.manual || [])])] } : {}),
+      deletedAt: undefined,
+    };
+  }
+  return repo.put(applyBatchSummary(rec));
 }
 
 function makeId(s = {}) {
   if (s.id) return String(s.id);
+  if (isMeaningfulName(s.name)) return toId(s.name);
   if (s.code) {
     try {
       const u = new URL(String(s.code));
@@ -115,436 +195,1063 @@ function makeId(s = {}) {
 }
 
 /* ===== Normalization helpers (for DB shape) ===== */
-function guessNameFromCode(code) {
-  try {
-    const u = new URL(code);
-    const last = (u.pathname.split('/').filter(Boolean).pop() || '').trim();
-    if (!last) return null;
-    const base = last.replace(/\.(pdf|html?)$/i, '');
-    return base.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase()).trim();
-  } catch { return null; }
+/** [{ name, percent }] or { name: percent } → canonical names, best value per name, highest first */
+function normalizeTerpeneProfile(p) {
+  const rows = Array.isArray(p) ? p : (p && typeof p === 'object' ? Object.entries(p).map(([name, percent]) => ({ name, percent })) : []);
+  const best = new Map();
+  for (const r of rows) {
+    const name = canonTerp(r?.name) || String(r?.name || '').replace(/\s+/g, ' ').trim();
+    const percent = Number(r?.percent);
+    if (!name || !Number.isFinite(percent) || percent <= 0 || percent > 100) continue;
+    if (!best.has(name) || percent > best.get(name)) best.set(name, percent);
+  }
+  return [...best].map(([name, percent]) => ({ name, percent: +percent.toFixed(4) })).sort((a, b) => b.percent - a.percent);
 }
-const KNOWN_TERPENES = [
-  'Myrcene','Limonene','Caryophyllene','Humulene','Linalool','Pinene','Alpha-Pinene','Beta-Pinene',
-  'Terpinolene','Ocimene','Bisabolol','Camphene','Geraniol','Eucalyptol','Nerolidol','Terpineol',
-  'Fenchol','Borneol','Isopulegol','Valencene'
-];
-function normalizeTerpName(name) {
-  if (!name) return '';
-  let n = String(name)
-    .replace(/α/gi, 'alpha')
-    .replace(/β/gi, 'beta')
-    .toLowerCase()
-    .replace(/[^a-z\- ()+\/]+/g, '');
-  if (n.includes('caryophyllene')) return 'Caryophyllene';
-  if (n.includes('humulene')) return 'Humulene';
-  if (n.includes('limonene')) return 'Limonene';
-  if (n.includes('myrcene')) return 'Myrcene';
-  if (n.includes('linalool')) return 'Linalool';
-  if (n.includes('terpinolene')) return 'Terpinolene';
-  if (n.includes('pinene')) {
-    if (n.includes('alpha')) return 'Alpha-Pinene';
-    if (n.includes('beta'))  return 'Beta-Pinene';
-    return 'Pinene';
-  }
-  if (n.includes('ocimene'))   return 'Ocimene';
-  if (n.includes('bisabolol')) return 'Bisabolol';
-  if (n.includes('terpineol')) return 'Terpineol';
-  if (n.includes('nerolidol')) return 'Nerolidol';
-  if (n.includes('valencene')) return 'Valencene';
-  if (n.includes('eucalyptol') || n.includes('cineole')) return 'Eucalyptol';
-  if (n.includes('geraniol'))  return 'Geraniol';
-  if (n.includes('fenchol') || n.includes('fenchyl')) return 'Fenchol';
-  if (n.includes('borneol'))   return 'Borneol';
-  if (n.includes('isopulegol'))return 'Isopulegol';
-  if (n.includes('camphene'))  return 'Camphene';
-  return String(name).replace(/\s+/g, ' ').trim();
-}
-
-function typeToBucket(type) {
-  const t = String(type || '').toLowerCase();
-  if (t.startsWith('indi')) return 'indica_leaning';
-  if (t.startsWith('sati')) return 'sativa_leaning';
-  return 'hybrid';
-}
-function bucketToLean(bucket) {
-  return bucket === 'indica_leaning' ? 'Indica-leaning'
-       : bucket === 'sativa_leaning' ? 'Sativa-leaning'
-       : '';
-}
-
-/** map scraper output -> normalizeStrain input shape (now includes type -> bucket/lean) */
-function coalesceParsedToStrain(parsed, url) {
-  const name = parsed?.strain || guessNameFromCode(url) || 'Unknown Strain';
-  const terps = [parsed?.dominantTerpene, ...(parsed?.otherTerpenes || [])]
-    .filter(Boolean)
-    .map(normalizeTerpName);
-  const thc   = parsed?.thc?.totalPercent ?? undefined;
-  const type  = parsed?.type || null; // take type from scraper if present
-  const bucket = parsed?.bucket || (type ? typeToBucket(type) : 'hybrid');
-  const lean   = bucketToLean(bucket);
-  return { code: url, name, thc, bucket, lean, terpenes: terps, type };
+
+const CANNABINOID_KEYS = ['totalThc', 'totalCbd', ...CANNABINOIDS.map(c => c.key)];
+
+/** { key: percent | { percent?, mgPerG? } } → { key: { percent, mgPerG } }; unknown keys and junk dropped */
+function normalizeCannabinoids(c, thc) {
+  const amount = (pct) => ({ percent: +pct.toFixed(3), mgPerG: +(pct * 10).toFixed(2) });
+  const out = {};
+  for (const key of CANNABINOID_KEYS) {
+    const v = c?.[key];
+    if (v == null) continue;
+    const pct = typeof v === 'object'
+      ? (v.percent != null ? Number(v.percent) : v.mgPerG != null ? Number(v.mgPerG) / 10 : NaN)
+      : Number(v);
+    if (!Number.isFinite(pct) || pct < 0 || pct > 100) continue;
+    out[key] = amount(pct);
+  }
+  // totals: reported value, else 0.877 × acid + neutral
+  const computed = (acid, neutral) => (out[acid] || out[neutral])
+    ? amount(0.877 * (out[acid]?.percent ?? 0) + (out[neutral]?.percent ?? 0))
+    : undefined;
+  if (!out.totalThc) out.totalThc = Number.isFinite(thc) ? amount(thc) : computed('thca', 'd9thc');
+  if (!out.totalCbd) out.totalCbd = computed('cbda', 'cbd');
+  for (const k of ['totalThc', 'totalCbd']) if (!out[k]) delete out[k];
+  return Object.keys(out).length ? out : undefined;
 }
 
 function normalizeStrain(s) {
-  const terps = Array.isArray(s.terpenes)
-    ? s.terpenes
+  const profile = normalizeTerpeneProfile(s.terpeneProfile);
+  // terpenes/dominantTerpene are derived from the measured profile when there is one
+  const terps = profile.length ? profile.map(t => t.name)
+    : Array.isArray(s.terpenes) ? s.terpenes
     : (s.terpenes ? String(s.terpenes).split(/[;,|\n\r]+/).map(x => x.trim()).filter(Boolean) : []);
   const top3 = terps.slice(0, 3);
+  const totalIn = Number(s.totalTerpenes);
+  const totalTerpenes = s.totalTerpenes != null && Number.isFinite(totalIn) && totalIn > 0 && totalIn <= 100
+    ? +totalIn.toFixed(3)
+    : (profile.length ? +profile.reduce((acc, t) => acc + t.percent, 0).toFixed(3) : undefined);
   const bucket = s.bucket || (s.type ? typeToBucket(s.type) : 'hybrid');
   const lean   = s.lean || bucketToLean(bucket);
-  return {
+  const thcIn  = s.thc == null ? undefined : Number(String(s.thc).replace(/[^0-9.]/g, ''));
+  const cannabinoids = normalizeCannabinoids(s.cannabinoids, thcIn);
+  const thc = thcIn ?? cannabinoids?.totalThc?.percent;
+  const norm = {
     id: makeId(s),
     code: s.code || undefined,
     name: s.name,
-    thc: s.thc == null ? undefined : Math.round(Number(String(s.thc).replace(/[^0-9.]/g, ''))),
+    aliases: mergeAliases(s.name, Array.isArray(s.aliases) ? s.aliases : []),
+    thc: thc == null ? undefined : Math.round(thc), // whole percent for list views; exact values in cannabinoids
     bucket,
     lean,
     type: s.type || undefined,      // keep type in DB
     terpenes: top3,
-    dominantTerpene: top3[0] || ''
+    dominantTerpene: top3[0] || '',
+    terpeneProfile: profile.length ? profile : undefined,
+    totalTerpenes,
+    cannabinoids,
   };
+  // legacy/imported records carry their own history; a fresh scan becomes one batch
+  const batch = Array.isArray(s.batches) ? null : makeBatch(s, norm);
+  norm.batches = Array.isArray(s.batches) ? s.batches : (batch ? [batch] : []);
+  return norm;
 }
 
-/* ================= Helpers used by scanner ================= */
-function rgbaToLuminance(rgba, width, height) {
-  const out = new Uint8ClampedArray(width * height);
-  for (let i = 0, j = 0; i < rgba.length; i += 4, j++) {
-    const r = rgba[i], g = rgba[i + 1], b = rgba[i + 2];
-    out[j] = (0.2126 * r + 0.7152 * g + 0.0722 * b) | 0;
-  }
-  return out;
+/* ===== Batch history (one entry per COA document) ===== */
+const batchIdFor = (code) => (code ? crypto.createHash('sha1').update(String(code)).digest('hex').slice(0, 12) : 'manual');
+
+/** The per-COA slice of a normalized scan (lot, lab, test date, potency, terpenes); null when there is none */
+function makeBatch(s, norm) {
+  if (!norm.code && !norm.cannabinoids && !norm.terpeneProfile && !norm.terpenes.length) return null;
+  return {
+    id: batchIdFor(norm.code),
+    lot: s.lot || undefined,
+    code: norm.code,
+    lab: s.lab || undefined,
+    testDate: s.testDate || undefined,
+    packageDate: s.packageDate || undefined,
+    provider: s.provider || undefined,
+    thc: norm.cannabinoids?.totalThc?.percent ?? norm.thc,
+    cannabinoids: norm.cannabinoids,
+    terpeneProfile: norm.terpeneProfile,
+    totalTerpenes: norm.totalTerpenes,
+    terpenes: norm.terpenes,
+    addedAt: s.addedAt || new Date().toISOString(),
+  };
 }
-function looksLikeUrl(s) { try { new URL(s); return true; } catch { return false; } }
-
-function guessBucketFromText(text) {
-  const m = text.match(/\b(Sativa|Indica|Hybrid)\b/i);
-  if (!m) return 'hybrid';
-  const v = m[1].toLowerCase();
-  if (v === 'sativa') return 'sativa_leaning';
-  if (v === 'indica') return 'indica_leaning';
-  return 'hybrid';
-}
-
-// --- Type helpers (single copy) ---
-const TYPE_MAP = { I: 'Indica', H: 'Hybrid', S: 'Sativa' };
-function parseType(text) {
-  if (!text) return null;
-  // TRU-Flower-...-I-FL or -H-FL or -S-FL
-  let m = text.match(/-([IHS])-[A-Z]{2}\b/);
-  if (m) return TYPE_MAP[m[1].toUpperCase()] || null;
-  // Fallback: words anywhere
-  m = text.match(/\b(Indica|Sativa|Hybrid)\b/i);
-  if (m) return m[1][0].toUpperCase() + m[1].slice(1).toLowerCase();
-  return null;
+
+/** Re-scanning the same COA replaces its entry (keeping addedAt); a different COA is appended */
+function mergeBatches(prev = [], next = []) {
+  const out = new Map((prev || []).map(b => [b.id, b]));
+  for (const b of next || []) {
+    const old = out.get(b.id);
+    out.set(b.id, old ? { ...b, addedAt: old.addedAt || b.addedAt } : b);
+  }
+  return [...out.values()];
 }
-function bucketFromType(t) {
-  if (!t) return 'hybrid';
-  if (t === 'Indica') return 'indica_leaning';
-  if (t === 'Sativa') return 'sativa_leaning';
-  return 'hybrid';
+
+// Newest first: test date when the COA has one, else when we saw it
+const batchDate = (b) => b.testDate || String(b.addedAt || '').slice(0, 10);
+function sortBatches(batches) {
+  return [...batches].sort((a, b) => batchDate(b).localeCompare(batchDate(a)) || String(b.addedAt || '').localeCompare(String(a.addedAt || '')));
 }
 
-function pickTopTerpenes(pairs, max = 3) {
-  const sorted = pairs
-    .filter(p => Number.isFinite(p.pct) && p.pct > 0)
-    .sort((a, b) => b.pct - a.pct);
-  return sorted.slice(0, max).map(p => p.name);
+/** Strain-level values mirror the latest batch; batchSummary adds THC stats across all of them */
+function applyBatchSummary(rec) {
+  rec.batches = sortBatches(rec.batches || []);
+  if (!rec.batches.length) { delete rec.batchSummary; return rec; }
+
+  const latest = rec.batches[0];
+  Object.assign(rec, {
+    code: latest.code ?? rec.code,
+    thc: latest.thc == null ? null : Math.round(latest.thc),
+    cannabinoids: latest.cannabinoids,
+    terpeneProfile: latest.terpeneProfile,
+    totalTerpenes: latest.totalTerpenes,
+    terpenes: latest.terpenes || [],
+    dominantTerpene: latest.terpenes?.[0] || '',
+  });
+  const thcs = rec.batches.map(b => b.thc).filter(Number.isFinite);
+  rec.batchSummary = {
+    count: rec.batches.length,
+    latestBatchId: latest.id,
+    latestTestDate: latest.testDate ?? null,
+    thc: thcs.length ? {
+      latest: latest.thc ?? null,
+      min: Math.min(...thcs),
+      max: Math.max(...thcs),
+      avg: +(thcs.reduce((a, b) => a + b, 0) / thcs.length).toFixed(2),
+    } : null,
+  };
+  return rec;
 }
 
-function detectColumnUnit(lines) {
-  const unitHeader = lines.find(l => /\bresult\s*\((%|mg\/g|ppm|µg\/g|ug\/g)\)/i.test(l));
-  if (unitHeader) {
-    const m = unitHeader.match(/\bresult\s*\((%|mg\/g|ppm|µg\/g|ug\/g)\)/i);
-    if (m) return m[1].toLowerCase();
+/* ===== Duplicates & merge ===== */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
   }
-  const unitLine = lines.find(l => /\bunits?\s*:\s*(%|mg\/g|ppm|µg\/g|ug\/g)\b/i.test(l));
-  if (unitLine) {
-    const m = unitLine.match(/\bunits?\s*:\s*(%|mg\/g|ppm|µg\/g|ug\/g)\b/i);
-    if (m) return m[1].toLowerCase();
+  return prev[b.length];
+}
+
+/**
+ * 0..1 similarity of two names after toId(); "Wedding-Cake #2" vs "Wedding Cake" compare on the base name too, but
+ * two different trailing numbers ("Gelato 33" vs "Gelato 41", "OG 18" vs "OG 2") are different cuts: 0
+ */
+function nameSimilarity(a, b) {
+  const x = toId(a), y = toId(b);
+  if (!x || !y) return 0;
+  const nx = x.match(/\d+$/)?.[0], ny = y.match(/\d+$/)?.[0];
+  if (nx && ny && +nx !== +ny) return 0;
+  const base = (v) => v.replace(/\d+$/, '') || v;
+  if (base(x) === base(y)) return x === y ? 1 : 0.95;
+  return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+}
+
+function duplicateScore(a, b) {
+  const reasons = [];
+  let score = 0;
+  for (const n of strainNames(a)) {
+    for (const m of strainNames(b)) score = Math.max(score, nameSimilarity(n, m));
   }
-  return null;
+  if (score > 0) reasons.push(score === 1 ? 'same_name' : 'similar_name');
+  const codesB = new Set(strainCodes(b));
+  if (strainCodes(a).some(c => codesB.has(c))) { score = 1; reasons.push('shared_code'); }
+  const lotsB = new Set((b.batches || []).map(x => x.lot).filter(Boolean));
+  if ((a.batches || []).some(x => x.lot && lotsB.has(x.lot))) { score = Math.max(score, 0.9); reasons.push('shared_lot'); }
+  return { score: +score.toFixed(3), reasons };
 }
-function toPercent(value, unit) {
-  if (!Number.isFinite(value)) return null;
-  if (!unit || unit === '%') return value;
-  unit = unit.toLowerCase();
-  if (unit.includes('mg/g')) return +(value * 0.1).toFixed(3);
-  if (unit.includes('ppm') || unit.includes('µg/g') || unit.includes('ug/g'))
-    return +(value / 10000).toFixed(4);
-  return value;
-}
-
-function buildTerpNameRegex() {
-  const names = KNOWN_TERPENES.map(t => {
-    const base = t
-      .replace('Alpha-', '(?:Alpha-|α-)')
-      .replace('Beta-',  '(?:Beta-|β-)')
-      .replace('-',      '[ \\-]?');
-    return base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  });
-  names.push('terpinolene','terpen[eo]l','terpene','pinene','myrcene','ocimene','humulene','caryophyllene','limonene','linalool','bisabolol','nerolidol','valencene','camphene','geraniol','eucalyptol','borneol','isopulegol','fenchol');
-  return new RegExp(`\\b(${names.join('|')})\\b`, 'i');
-}
-const TERP_NAME_RE = buildTerpNameRegex();
-
-function extractTerpenesSmart(raw, lines) {
-  const defaultUnit = detectColumnUnit(lines);
-  const pairs = [];
-
-  for (const line of lines) {
-    if (!TERP_NAME_RE.test(line)) continue;
-    const m = line.match(/([A-Za-zα-ωΑ-Ωµμ()\/+.\- ]+?)\s*(?:[:\-–•·]|\s{2,})?\s*([0-9]+(?:\.[0-9]+)?|\.[0-9]+)\s*(%|mg\/g|ppm|µg\/g|ug\/g)?\b/i);
-    if (!m) continue;
-    const rawName = m[1].trim();
-    const val = parseFloat(m[2]);
-    const unit = (m[3] || defaultUnit || '%').toLowerCase();
-
-    const normName = normalizeTerpName(rawName);
-    const pct = toPercent(val, unit);
-    if (!normName || !Number.isFinite(pct)) continue;
-    if (!KNOWN_TERPENES.some(k => normName.toLowerCase().includes(k.toLowerCase()))) continue;
-    pairs.push({ name: normName, pct });
-  }
-
-  if (!pairs.length) {
-    const dom = raw.match(/Dominant\s*Terpenes?\s*:\s*([^\n\r]+)/i);
-    if (dom) {
-      const names = dom[1].split(/[;,|]/).map(s => normalizeTerpName(s.trim())).filter(Boolean);
-      const uniq = [...new Set(names)];
-      return uniq.slice(0, 3);
-    }
-    for (const terp of KNOWN_TERPENES) {
-      const re = new RegExp(`${terp.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\\\$&')}[^\\n\\r]{0,40}?([0-9]+(?:\\.[0-9]+)?|\\.[0-9]+)\\s*(%|mg\\/g|ppm|µg\\/g|ug\\/g)?`, 'i');
-      const m = raw.match(re);
-      if (m) {
-        const pct = toPercent(parseFloat(m[1]), (m[2] || defaultUnit || '%'));
-        if (Number.isFinite(pct)) pairs.push({ name: normalizeTerpName(terp), pct });
-      }
-    }
+
+/** Fold `sources` into `into` in place: names → aliases, ids → mergedIds, codes and batches kept; sources removed */
+function mergeStrains(into, sources) {
+  for (const src of sources) {
+    into.aliases = mergeAliases(into.name, into.aliases || [], [src.name], src.aliases || []);
+    into.mergedIds = [...new Set([...(into.mergedIds || []), String(src.id).toLowerCase(), ...(src.mergedIds || [])])];
+    into.codes = [...new Set([...(into.codes || []), ...strainCodes(src)])].filter(c => c !== into.code);
+    into.batches = mergeBatches(into.batches, src.batches);
+    into.barcodes = [...(into.barcodes || []), ...(src.barcodes || []).filter(b => !(into.barcodes || []).some(x => x.code === b.code))];
+    for (const k of ['type', 'bucket', 'lean']) if (!into[k] && src[k]) into[k] = src[k];
+    repo.remove(src.id);
   }
+  return repo.put(applyBatchSummary(into));
+}
 
-  return pickTopTerpenes(pairs, 3);
+/** A fresh resolve reported under the stored record's id/name when the code or name is already known */
+function withStoredIdentity(norm) {
+  const rec = findStrain(norm);
+  return rec ? { ...norm, id: rec.id, name: rec.name, aliases: rec.aliases || [] } : norm;
 }
 
-/* ================= OCR & fetch helpers ================= */
-async function ocrExtractUrlOrBatch(buf, maxMs = 12000) {
-  const t0 = Date.now();
-  let base = sharp(buf).grayscale().normalize().sharpen();
-  const meta = await base.metadata();
-  const minW = 1200;
-  if ((meta.width || 0) < minW) base = base.resize({ width: minW });
+/* ===== Product catalog: retail barcodes (UPC/EAN/Code-128…) → strain, optionally one batch ===== */
+// Entries live on the strain as `barcodes: [{ code, format, batchId, label, addedAt }]` and are indexed as codes,
+// so a cataloged barcode resolves from the store without a fetch. A code belongs to one strain at a time.
 
-  const angles = [0, -6, 6, -10, 10];
-  const variants = [
-    (img) => img,
-    (img) => img.modulate({ brightness: 1.25 }),
-    (img) => img.linear(1.25, -5),
-    (img) => img.threshold(150),
-    (img) => img.threshold(190),
-    (img) => img.blur(0.4).threshold(165),
-  ];
-  function findFromText(text) {
-    if (!text) return null;
-    const direct = text.match(/https?:\/\/[^\s]+?\.pdf\b/i);
-    if (direct) return direct[0];
-    const mBatch = text.match(/\b(\d{5})[ _-]?(\d{7,})\b/);
-    if (mBatch) {
-      const a = mBatch[1];
-      const b = mBatch[2];
-      return `https://www.trulieve.com/content/dam/trulieve/en/lab-reports/${a}_${b}.pdf`;
+/** Canonical catalog key: digits only for numeric codes, a 12-digit UPC-A as its EAN-13; null for URLs / junk */
+function catalogCode(raw) {
+  let code = String(raw ?? '').trim();
+  if (!code || code.length > 128 || /^[a-z][a-z0-9+.-]*:\/\//i.test(code)) return null;
+  if (/^[\d\s-]+$/.test(code)) code = code.replace(/\D+/g, '');
+  return code.length === 12 && /^\d+$/.test(code) ? `0${code}` : code;
+}
+
+/** → { strain, entry } for a cataloged code, else null */
+function catalogHit(raw) {
+  const code = catalogCode(raw);
+  if (!code) return null;
+  const owns = (rec) => rec?.barcodes?.find(b => b.code === code);
+  // the code index can point at a placeholder that merely carries the code (autocreate); the owner wins
+  let rec = repo.findBy('code', code);
+  if (!owns(rec)) rec = liveStrains().find(owns) || null;
+  return rec && isLive(rec) ? { strain: rec, entry: owns(rec) } : null;
+}
+
+/** Where to PUT a link for a code that didn't resolve (undefined when it can't be cataloged) */
+const catalogLinkFor = (raw) => {
+  const code = catalogCode(raw);
+  return code ? `/api/catalog/${encodeURIComponent(code)}` : undefined;
+};
+
+const catalogItem = ({ strain, entry }) => ({
+  ...entry,
+  strain: { id: strain.id, name: strain.name },
+  batch: entry.batchId ? (strain.batches || []).find(b => b.id === entry.batchId) || null : undefined,
+});
+
+/** Point `code` at strain `s` (optionally one of its batches); it leaves the strain that had it before */
+function linkBarcode(code, s, { batchId, format, label } = {}) {
+  const prev = catalogHit(code);
+  const entry = {
+    code,
+    format: format || prev?.entry.format || undefined,
+    batchId: batchId || undefined,
+    label: label || prev?.entry.label || undefined,
+    addedAt: prev?.entry.addedAt || new Date().toISOString(),
+  };
+  if (prev && prev.strain.id !== s.id) repo.put({ ...prev.strain, barcodes: prev.strain.barcodes.filter(b => b.code !== code) });
+  const rec = repo.put({ ...s, barcodes: [...(s.barcodes || []).filter(b => b.code !== code), entry] });
+  return { item: catalogItem({ strain: rec, entry }), created: !prev };
+}
+
+function unlinkBarcode(code) {
+  const hit = catalogHit(code);
+  if (!hit) return false;
+  repo.put({ ...hit.strain, barcodes: hit.strain.barcodes.filter(b => b.code !== hit.entry.code) });
+  return true;
+}
+
+/* ===== Strain search (GET /api/strains filters) ===== */
+const exactThc = (x) => x.cannabinoids?.totalThc?.percent ?? x.thc;
+const strainTerpenes = (x) => (x.terpeneProfile?.length ? x.terpeneProfile.map(t => t.name) : x.terpenes || []);
+const terpKey = (t) => toId(canonTerp(t) || t);
+const listParam = (v) => [].concat(v ?? []).flatMap(x => String(x).split(',')).map(x => x.trim()).filter(Boolean);
+
+/** 0..1 match of a search term against a name: whole > prefix > substring > typo-tolerant window */
+function nameMatchScore(q, name) {
+  const k = toId(q), id = toId(name);
+  if (!k || !id) return 0;
+  if (id === k) return 1;
+  if (id.startsWith(k)) return 0.95;
+  if (id.includes(k)) return 0.9;
+  let best = nameSimilarity(k, id) * 0.9;
+  if (k.length >= 4) {
+    for (let len = k.length - 1; len <= k.length + 1; len++) {
+      for (let i = 0; i + len <= id.length; i++) {
+        best = Math.max(best, (1 - levenshtein(k, id.slice(i, i + len)) / Math.max(k.length, len)) * 0.85);
+      }
     }
-    return null;
   }
-  for (const deg of angles) {
-    for (const v of variants) {
-      if (Date.now() - t0 > maxMs) return null;
-      let img = base.clone().rotate(deg);
-      try { img = v(img); } catch {}
-      const pre = await img.toBuffer();
-      try {
-        const { data } = await Tesseract.recognize(pre, 'eng', {
-          tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_:/.-',
-          preserve_interword_spaces: '1',
-        });
-        const text = (data?.text || '').replace(/\r/g, ' ').replace(/[ \t]+/g, ' ').trim();
-        const found = findFromText(text);
-        if (found) return found;
-      } catch {}
+  return best;
+}
+
+const BUCKET_ALIASES = { indica: 'indica_leaning', sativa: 'sativa_leaning', hybrid: 'hybrid' };
+const hostOf = (code) => { try { return new URL(String(code)).hostname.toLowerCase(); } catch { return ''; } };
+
+// Direction of a plain sort=<key>: A→Z and low→high THC, but newest and best match first
+const SORT_DEFAULT_ORDER = { name: 'asc', thc: 'asc', recent: 'desc', relevance: 'desc' };
+
+/**
+ * Parse GET /api/strains query → { test(rec) → score | null, sort, order } or { error }.
+ * All filters AND together; `q` also yields a relevance score used when no sort is given.
+ */
+function strainQuery(query) {
+  const num = (k) => {
+    if (query[k] == null || query[k] === '') return { v: undefined };
+    const v = Number(query[k]);
+    return Number.isFinite(v) ? { v } : { error: `${k} must be a number` };
+  };
+  const thcMin = num('thcMin'), thcMax = num('thcMax');
+  if (thcMin.error || thcMax.error) return { error: thcMin.error || thcMax.error };
+
+  const sortRaw = String(query.sort || '').trim();
+  const sort = sortRaw.replace(/^-/, '');
+  if (sort && !['name', 'thc', 'recent', 'relevance'].includes(sort)) return { error: 'sort must be name, thc, recent or relevance' };
+  const orderRaw = query.order ? String(query.order).toLowerCase() : '';
+  if (orderRaw && !['asc', 'desc'].includes(orderRaw)) return { error: 'order must be asc or desc' };
+
+  const q = String(query.q || query.name || '').trim();
+  const minScore = 0.7;
+  const buckets = listParam(query.bucket).map(b => BUCKET_ALIASES[b.toLowerCase()] || b.toLowerCase());
+  const types = listParam(query.type).map(t => t.toLowerCase());
+  const terps = listParam(query.terpene).map(terpKey);
+  const dominant = listParam(query.dominantTerpene).map(terpKey);
+  const code = String(query.code || '').trim().toLowerCase();
+  const host = String(query.host || '').trim().toLowerCase().replace(/^www\./, '');
+
+  function test(x) {
+    if (buckets.length && !buckets.includes(x.bucket)) return null;
+    if (types.length && !types.includes(String(x.type || '').toLowerCase())) return null;
+    const thc = exactThc(x);
+    if (thcMin.v != null && !(thc >= thcMin.v)) return null;
+    if (thcMax.v != null && !(thc <= thcMax.v)) return null;
+    if (terps.length) {
+      const have = new Set(strainTerpenes(x).map(terpKey));
+      if (!terps.every(t => have.has(t))) return null;
     }
+    if (dominant.length && !dominant.includes(terpKey(x.dominantTerpene || strainTerpenes(x)[0] || ''))) return null;
+    const codes = strainCodes(x);
+    if (code && !codes.some(c => String(c).toLowerCase().includes(code))) return null;
+    if (host && !codes.some(c => { const h = hostOf(c); return h === host || h.endsWith(`.${host}`); })) return null;
+    if (!q) return 1;
+    const score = Math.max(0, ...[x.name, ...(x.aliases || [])].map(n => nameMatchScore(q, n)));
+    return score >= minScore ? score : null;
   }
-  return null;
+
+  // each key has its own default direction; a leading "-" flips it, order= states it outright
+  const by = sort || (q ? 'relevance' : 'recent');
+  const flip = { asc: 'desc', desc: 'asc' };
+  const order = orderRaw || (sortRaw.startsWith('-') ? flip[SORT_DEFAULT_ORDER[by]] : SORT_DEFAULT_ORDER[by]);
+  return { test, sort: by, order, q };
 }
 
-async function fetchPdfWithHeaders(url) {
-  const f = await getFetch();
-  let resp = await f(url, {
-    redirect: 'follow',
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122 Safari/537.36',
-      'Accept': 'application/pdf,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Cache-Control': 'no-cache',
+/** Sort key of a hit: `age` counts up from the oldest stored record, so it holds still when new ones arrive */
+const strainHitKey = (h, sort) => ({
+  name: () => String(h.rec.name || ''),
+  thc: () => exactThc(h.rec),
+  recent: () => h.age,
+  relevance: () => h.score,
+}[sort]());
+
+/** Total order over [{ key, id }]: the sort key, then id, so every row (and every cursor) has exactly one place */
+function strainHitOrder(sort, order) {
+  const dir = order === 'desc' ? -1 : 1;
+  const byKey = {
+    name: (a, b) => a.key.localeCompare(b.key, undefined, { sensitivity: 'base' }) * dir,
+    thc: (a, b) => {
+      if (a.key == null || b.key == null) return (a.key == null) - (b.key == null); // no THC sorts last either way
+      return (a.key - b.key) * dir;
     },
-  });
-  if (!resp.ok && (resp.status === 403 || resp.status === 406 || resp.status === 503)) {
-    resp = await f(url, {
-      redirect: 'follow',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122 Safari/537.36',
-        'Accept': 'application/pdf,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Cache-Control': 'no-cache',
-        'Referer': 'https://www.trulieve.com/',
-      },
+    recent: (a, b) => (a.key - b.key) * dir,
+    relevance: (a, b) => (a.key - b.key) * dir,
+  }[sort];
+  return (a, b) => byKey(a, b) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+// Opaque keyset cursor: the sort it belongs to plus the sort key + id of one row; `next` resumes after that row,
+// `prev` ends just before it, so inserts and deletes between pages neither repeat nor skip rows
+const encodeCursor = (query, hit, d) =>
+  Buffer.from(JSON.stringify({ s: query.sort, o: query.order, k: hit.key, id: hit.id, d })).toString('base64url');
+function decodeCursor(c, query) {
+  try {
+    const { s, o, k, id, d } = JSON.parse(Buffer.from(String(c), 'base64url').toString('utf8'));
+    if (s !== query.sort || o !== query.order || typeof id !== 'string' || !['next', 'prev'].includes(d)) return null;
+    const keyOk = s === 'name' ? typeof k === 'string' : (Number.isFinite(k) || (s === 'thc' && k === null));
+    return keyOk ? { key: k, id, d } : null;
+  } catch { return null; }
+}
+
+/* ===== Similarity (terpene profile, bucket, potency) ===== */
+const SIMILARITY_WEIGHTS = { terpenes: 0.6, bucket: 0.2, potency: 0.2 };
+
+/**
+ * family → { name, w }; measured percents when there's a profile, else rank weights for the top names.
+ * Isomers count as one family (Alpha-/Beta-Pinene → Pinene) so COAs that split them still line up.
+ */
+function terpeneVector(x) {
+  const v = new Map();
+  const add = (t, w) => {
+    const fam = terpKey(t).replace(/^(?:alpha|beta)/, '');
+    const cur = v.get(fam);
+    v.set(fam, { name: canonTerp(fam) || canonTerp(t) || t, w: (cur?.w || 0) + w });
+  };
+  if (x.terpeneProfile?.length) for (const t of x.terpeneProfile) add(t.name, t.percent);
+  else (x.terpenes || []).forEach((t, i, arr) => add(t, arr.length - i));
+  return v;
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (const [k, { w }] of a) { na += w * w; if (b.has(k)) dot += w * b.get(k).w; }
+  for (const { w } of b.values()) nb += w * w;
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+function bucketSimilarity(a, b) {
+  if (!a || !b) return null;
+  if (a === b) return 1;
+  return a === 'hybrid' || b === 'hybrid' ? 0.5 : 0;
+}
+
+/**
+ * score 0..1 + what's shared and what differs. A missing terpene profile scores 0 on its full weight (bucket and THC
+ * alone can't outrank a shared profile); missing bucket or THC re-spreads its weight over the other parts.
+ */
+function similarity(target, other) {
+  const tv = terpeneVector(target), ov = terpeneVector(other);
+  const thcA = exactThc(target), thcB = exactThc(other);
+  const parts = {
+    terpenes: tv.size && ov.size ? cosine(tv, ov) : 0,
+    bucket: bucketSimilarity(target.bucket, other.bucket),
+    potency: thcA != null && thcB != null ? Math.max(0, 1 - Math.abs(thcA - thcB) / 15) : null,
+  };
+  let sum = 0, weight = 0;
+  for (const [k, v] of Object.entries(parts)) if (v != null) { sum += v * SIMILARITY_WEIGHTS[k]; weight += SIMILARITY_WEIGHTS[k]; }
+
+  const top = (v) => [...v.values()].sort((a, b) => b.w - a.w).slice(0, 5).map(t => t.name);
+  const shared = [...tv.keys()].filter(k => ov.has(k)).map(k => tv.get(k).name);
+  const onlyTarget = [...tv].filter(([k]) => !ov.has(k)).sort((a, b) => b[1].w - a[1].w).slice(0, 5).map(([, t]) => t.name);
+  const onlyOther = [...ov].filter(([k]) => !tv.has(k)).sort((a, b) => b[1].w - a[1].w).slice(0, 5).map(([, t]) => t.name);
+
+  const why = [];
+  const domA = top(tv)[0], domB = top(ov)[0];
+  if (domA && domA === domB) why.push(`both ${domA}-dominant`);
+  else if (domA && domB) why.push(`${domB}-dominant vs ${domA}`);
+  if (shared.length) why.push(`shares ${shared.slice(0, 3).join(', ')}`);
+  if (onlyOther.length) why.push(`adds ${onlyOther.slice(0, 2).join(', ')}`);
+  if (onlyTarget.length) why.push(`lacks ${onlyTarget.slice(0, 2).join(', ')}`);
+  if (parts.bucket === 1) why.push('same bucket');
+  else if (parts.bucket != null) why.push(`${bucketToLean(other.bucket) || 'Hybrid'} vs ${bucketToLean(target.bucket) || 'Hybrid'}`);
+  if (parts.potency != null) why.push(`THC ${+thcB.toFixed(1)}% vs ${+thcA.toFixed(1)}%`);
+
+  const round = (v) => (v == null ? null : +v.toFixed(3));
+  return {
+    score: weight ? round(sum / weight) : 0,
+    components: { terpenes: round(parts.terpenes), bucket: round(parts.bucket), potency: round(parts.potency) },
+    shared, onlyTarget, onlyOther,
+    explanation: why.join('; '),
+  };
+}
+
+/** Rank stored strains against `target` (skipping the target record itself) */
+function rankSimilar(target, { limit = 10, minScore = 0 } = {}) {
+  return liveStrains()
+    .filter(x => x.id !== target.id)
+    .map(x => ({ id: x.id, name: x.name, bucket: x.bucket, thc: x.thc, dominantTerpene: x.dominantTerpene, ...similarity(target, x) }))
+    .filter(r => r.score > 0 && r.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+const similarOpts = (q) => ({
+  limit: Math.max(1, Math.min(100, parseInt(q.limit, 10) || 10)),
+  minScore: Math.min(1, Math.max(0, Number(q.minScore) || 0)),
+});
+
+/* ================= Scan worker pool (ZXing decode + OCR off the main thread) ================= */
+const scanPool = createWorkerPool(new URL('./scan-worker.js', import.meta.url), {
+  size: Math.max(1, Number(process.env.SCAN_WORKERS) || defaultPoolSize()),
+  name: 'scan-pool',
+});
+
+// [0] stop flag, [1] attempt counter — shared by every worker on one scan stage
+const newScanControl = () => new Int32Array(new SharedArrayBuffer(8));
+function toShared(buf) {
+  const sab = new SharedArrayBuffer(buf.length);
+  new Uint8Array(sab).set(buf);
+  return sab;
+}
+
+/**
+ * Run independent variants across the pool. Resolves with the first result `pick` accepts and
+ * raises the stop flag so the others quit at their next check; null when none hit before the
+ * deadline/signal. A worker still busy `grace` ms past the deadline is terminated.
+ */
+async function firstHit(tasks, ctl, { deadline, signal, onProgress, pick = (r) => r, grace = 3000 } = {}) {
+  const ac = new AbortController();
+  setMaxListeners(0, ac.signal); // one listener per queued variant
+  const stop = () => { Atomics.store(ctl, 0, 1); ac.abort(); };
+  if (signal?.aborted) stop();
+  else signal?.addEventListener('abort', stop, { once: true });
+  try {
+    return await new Promise((resolve) => {
+      let pending = tasks.length;
+      if (!pending) return resolve(null);
+      for (const task of tasks) {
+        scanPool.run({ ...task, control: ctl.buffer, deadline }, { signal: ac.signal, timeoutMs: Math.max(1000, deadline - Date.now() + grace), onProgress })
+          .then((r) => {
+            const hit = r && pick(r);
+            if (hit) { stop(); resolve(hit); }
+          }, (e) => {
+            if (e?.name !== 'AbortError') console.warn('[scan] worker task failed:', e?.message || e);
+          })
+          .finally(() => { if (--pending === 0) resolve(null); });
+      }
     });
+  } finally {
+    signal?.removeEventListener('abort', stop);
+    stop();
   }
-  return resp;
 }
 
-/* ================= Scrapers used by scanner resolve ================= */
-async function scrapeTrulieveLabPdf(url) {
-  const resp = await fetchPdfWithHeaders(url);
-  if (!resp.ok) return null;
-  const buf = Buffer.from(await resp.arrayBuffer());
-
-  const pdfParse = await getPdfParse();
-  const { text: pdfText } = await pdfParse(buf);
-  const raw = (pdfText || '').replace(/\r/g, '');
-  const text = raw.replace(/[ \t]+/g, ' ');
-  const lines = raw.split('\n').map(l => l.trim()).filter(Boolean);
-
-  const namePatterns = [
-    /(?:Strain(?: Name)?|Product(?: Name)?|Product|Variety|Cultivars?|Cultivar):\s*([^\n]+)\n?/i,
-    /(?:Item|Sample(?: Name)?):\s*([^\n]+)\n?/i,
-  ];
-  let name;
-  for (const p of namePatterns) {
-    const m = text.match(p);
-    if (m) { name = m[1].replace(/\s+/g, ' ').trim(); break; }
-  }
-  if (!name) name = guessNameFromCode(url) || 'Unknown Strain';
-
-  let totalThc;
-  const mTotal = text.match(/Total\s*(?:Δ?9|Delta[-\s]?9)?\s*THC\s*[:=]?\s*([0-9]+(?:\.[0-9]+)?)\s*(%|mg\s*\/\s*g)?/i);
-  if (mTotal) {
-    const val = parseFloat(mTotal[1]);
-    const unit = (mTotal[2] || '%').toLowerCase();
-    totalThc = unit.includes('%') ? val : val / 10;
-  } else {
-    const pick = (re) => {
-      const m = text.match(re);
-      if (!m) return undefined;
-      const v = parseFloat(m[1]);
-      const unit = (m[2] || '%').toLowerCase();
-      return unit.includes('%') ? v : v / 10;
-    };
-    const thca = pick(/\bTHC-?A\b\s*[:=]?\s*([0-9]+(?:\.[0-9]+)?)\s*(%|mg\s*\/\s*g)?/i);
-    const d9   = pick(/(?:Δ?9|Delta[-\s]?9)\s*THC\s*[:=]?\s*([0-9]+(?:\.[0-9]+)?)\s*(%|mg\s*\/\s*g)?/i)
-              ?? pick(/\bTHC\b\s*[:=]?\s*([0-9]+(?:\.[0-9]+)?)\s*(%|mg\s*\/\s*g)?/i);
-    const thcaVal = Number.isFinite(thca) ? thca : 0;
-    const d9Val   = Number.isFinite(d9) ? d9 : 0;
-    if (thcaVal || d9Val) totalThc = Number((0.877 * thcaVal + d9Val).toFixed(1));
+/** Run every variant to completion (or the deadline/signal) and collect the non-null results, in task order */
+async function everyHit(tasks, ctl, { deadline, signal, onProgress, grace = 3000 } = {}) {
+  const ac = new AbortController();
+  setMaxListeners(0, ac.signal);
+  const stop = () => { Atomics.store(ctl, 0, 1); ac.abort(); };
+  if (signal?.aborted) stop();
+  else signal?.addEventListener('abort', stop, { once: true });
+  try {
+    const settled = await Promise.allSettled(tasks.map(task =>
+      scanPool.run({ ...task, control: ctl.buffer, deadline }, { signal: ac.signal, timeoutMs: Math.max(1000, deadline - Date.now() + grace), onProgress })));
+    for (const r of settled) {
+      if (r.status === 'rejected' && r.reason?.name !== 'AbortError') console.warn('[scan] worker task failed:', r.reason?.message || r.reason);
+    }
+    return settled.flatMap(r => (r.status === 'fulfilled' && r.value) || []);
+  } finally {
+    signal?.removeEventListener('abort', stop);
+    stop();
+  }
+}
+
+/* ================= OCR & fetch helpers ================= */
+const trulieveReportUrl = (a, b) => `https://www.trulieve.com/content/dam/trulieve/en/lab-reports/${a}_${b}.pdf`;
+
+/** Every code-looking thing in OCR text, best first: direct .pdf URLs, then Trulieve batch numbers as report URLs */
+function codesInText(text) {
+  if (!text) return [];
+  const direct = text.match(/https?:\/\/[^\s]+?\.pdf\b/gi) || [];
+  const batches = [...text.matchAll(/\b(\d{5})[ _-]?(\d{7,})\b/g)].map(m => trulieveReportUrl(m[1], m[2]));
+  return [...new Set([...direct, ...batches])];
+}
+const findCodeInText = (text) => codesInText(text)[0] ?? null;
+
+/**
+ * Combine OCR reads of the same label across frames: `reads` is [{ frame, text }].
+ * A candidate scores one vote per frame that read it; when none is read by two frames, batch numbers of the
+ * same length are merged digit by digit, so partial misreads in different places still add up.
+ * → { code, votes, frames } | null
+ */
+function voteOcrCodes(reads) {
+  const frames = new Set(reads.map(r => r.frame)).size;
+  const votes = new Map();
+  const batches = [];
+  for (const r of reads) {
+    for (const code of codesInText(r.text)) {
+      if (!votes.has(code)) votes.set(code, new Set());
+      votes.get(code).add(r.frame);
+    }
+    for (const m of String(r.text || '').matchAll(/\b(\d{5})[ _-]?(\d{7,})\b/g)) batches.push(m[1] + m[2]);
+  }
+  const ranked = [...votes].map(([code, fr]) => ({ code, votes: fr.size })).sort((a, b) => b.votes - a.votes);
+  if (ranked[0] && (ranked[0].votes > 1 || frames === 1)) return { ...ranked[0], frames };
+
+  const byLen = new Map();
+  for (const b of batches) byLen.set(b.length, [...(byLen.get(b.length) || []), b]);
+  const group = [...byLen.values()].sort((a, b) => b.length - a.length)[0];
+  if (group?.length > 1) {
+    const digits = Array.from(group[0], (_, i) => {
+      const tally = new Map();
+      for (const b of group) tally.set(b[i], (tally.get(b[i]) || 0) + 1);
+      return [...tally].sort((a, b) => b[1] - a[1])[0][0];
+    }).join('');
+    return { code: trulieveReportUrl(digits.slice(0, 5), digits.slice(5)), votes: group.length, frames };
   }
+  return ranked[0] ? { ...ranked[0], frames } : null;
+}
 
-  let terpenes = extractTerpenesSmart(raw, lines);
-  if (!terpenes.length) {
-    terpenes = extractTerpenesSmart(raw.replace(/[ \t]+/g, ' '), lines);
+const ocrBase = async (buf) => {
+  let base = sharp(buf).grayscale().normalize().sharpen();
+  const meta = await base.metadata();
+  if ((meta.width || 0) < 1200) base = base.resize({ width: 1200 });
+  return base.png().toBuffer();
+};
+
+/** OCR a few variants of each frame and vote across frames (burst mode) → { code, votes, frames } | null */
+async function ocrVoteFrames(bufs, maxMs = 12000, { signal } = {}) {
+  const deadline = Date.now() + maxMs; // preprocessing counts too
+  const tasks = [];
+  for (const [frame, buf] of bufs.entries()) {
+    const image = toShared(await ocrBase(buf));
+    for (const deg of [0, -6, 6]) for (const filter of ['none', 'ocrBright', 'thr150']) tasks.push({ type: 'ocr', image, deg, filter, tag: frame });
   }
+  const reads = await everyHit(tasks, newScanControl(), { deadline, signal });
+  return voteOcrCodes(reads.map(r => ({ frame: r.tag, text: r.text })));
+}
 
-  // Detect type from the header (…-I-FL / -H- / -S-) OR words on page
-  const type = parseType(text);
-  const bucket = type ? typeToBucket(type) : guessBucketFromText(text);
+/** OCR angle × filter variants in parallel on the pool; the first text with a COA URL or Trulieve batch wins */
+async function ocrExtractUrlOrBatch(buf, maxMs = 12000, { signal } = {}) {
+  const deadline = Date.now() + maxMs;
+  const image = toShared(await ocrBase(buf));
+  const angles = [0, -6, 6, -10, 10];
+  const filters = ['none', 'ocrBright', 'ocrLinear', 'thr150', 'thr190', 'blurThr165'];
+  const tasks = angles.flatMap(deg => filters.map(filter => ({ type: 'ocr', image, deg, filter })));
+  return firstHit(tasks, newScanControl(), { deadline, signal, pick: (r) => findCodeInText(r.text) });
+}
 
-  return { name, thc: totalThc, bucket, type, terpenes };
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122 Safari/537.36',
+  'Accept': 'application/pdf,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Cache-Control': 'no-cache',
+};
+
+/**
+ * One COA download: safeFetch (throws its rejection codes) inside the host's circuit (transient failures retried with
+ * backoff, fails fast with `circuit_open` while the vendor is down). Bot walls answer 403/406 to a request without a
+ * Referer, so those get one more try with it, within what is left of the same attempt's time. `extra` headers (e.g. If-None-Match from the COA cache) go on every
+ * request; `deadline` (epoch ms) bounds the retries and each request's timeout.
+ */
+async function fetchPdfWithHeaders(url, extra = {}, { deadline } = {}) {
+  safeFetch.checkUrl(url); // a refused URL never gets a host circuit
+  return hostCircuits.call(url, async ({ timeoutMs = FETCH_TIMEOUT_MS }) => {
+    const until = Date.now() + timeoutMs;
+    const resp = await safeFetch(url, { headers: { ...BROWSER_HEADERS, ...extra }, timeoutMs });
+    if ((resp.status !== 403 && resp.status !== 406) || until - Date.now() < 1) return resp;
+    return safeFetch(url, { headers: { ...BROWSER_HEADERS, 'Referer': 'https://www.trulieve.com/', ...extra }, timeoutMs: until - Date.now() });
+  }, { deadline });
+}
+
+/* ================= Scrapers used by scanner resolve ================= */
+// Through the COA cache: { type, buffer, contentType, url, hash, cache, fetchedAt }. `offline` serves the cache only;
+// `deadline` bounds a download
+async function fetchCoaDocument(url, { offline, deadline } = {}) {
+  return coaCache.get(url, (u, headers) => fetchPdfWithHeaders(u, headers, { deadline }), { offline });
+}
+
+/** A document's text, extracted once per content hash */
+const coaText = (doc) => coaCache.text(doc, documentText);
+
+/** Run a fetched COA through the extraction engine → strain fields + per-field confidence/provenance */
+async function scrapeCoaDocument(doc, url, { requireSignal = true } = {}) {
+  return scrapeCoaText(await coaText(doc), url, { requireSignal });
 }
 
 function looksLikePdfUrl(u) {
   try { const x = new URL(u); return x.pathname.toLowerCase().endsWith('.pdf'); } catch { return false; }
 }
 
-async function scrapeFromCode(code) {
+/* ================= COA provider registry ================= */
+// A provider declares which codes it handles (`match`), how to get the document (`fetch`, optional)
+// and how to read its layout (`parse`). Providers are tried in order; a null parse or a thrown
+// error falls through to the next matching provider.
+const COA_PROVIDERS = [];
+
+function registerCoaProvider(provider, { before } = {}) {
+  if (!provider?.id || typeof provider.match !== 'function' || typeof provider.parse !== 'function') {
+    throw new Error('COA provider needs id, match() and parse()');
+  }
+  const existing = COA_PROVIDERS.findIndex(p => p.id === provider.id);
+  if (existing >= 0) COA_PROVIDERS.splice(existing, 1);
+  const at = before ? COA_PROVIDERS.findIndex(p => p.id === before) : -1;
+  if (at >= 0) COA_PROVIDERS.splice(at, 0, provider);
+  else COA_PROVIDERS.push(provider);
+  return provider;
+}
+
+const isHttpUrl = (u) => !!u && (u.protocol === 'http:' || u.protocol === 'https:');
+
+registerCoaProvider({
+  id: 'trulieve',
+  label: 'Trulieve lab report (PDF)',
+  match: (code, u) => isHttpUrl(u) && u.hostname.toLowerCase().includes('trulieve.com') && u.pathname.toLowerCase().endsWith('.pdf'),
+  fetch: fetchCoaDocument,
+  parse: async (doc, url) => (doc.type === 'pdf' ? scrapeCoaDocument(doc, url, { requireSignal: false }) : null),
+});
+
+registerCoaProvider({
+  id: 'demo',
+  label: 'Demo strain (test QR)',
+  match: (code) => code.toLowerCase().includes('wedding-cake'),
+  parse: async () => ({ name: 'Wedding Cake', thc: 23, bucket: 'hybrid', type: 'Hybrid', terpenes: ['Caryophyllene','Limonene','Humulene'] }),
+});
+
+registerCoaProvider({
+  id: 'lab-pdf',
+  label: 'Generic lab COA (PDF)',
+  match: (code, u) => isHttpUrl(u) && looksLikePdfUrl(code),
+  fetch: fetchCoaDocument,
+  parse: async (doc, url) => (doc.type === 'pdf' ? scrapeCoaDocument(doc, url) : null),
+});
+
+registerCoaProvider({
+  id: 'html-coa',
+  label: 'Generic COA web page',
+  match: (code, u) => isHttpUrl(u) && !looksLikePdfUrl(code),
+  fetch: fetchCoaDocument,
+  parse: scrapeCoaDocument,
+});
+
+registerCoaProvider({
+  id: 'upload',
+  label: 'Uploaded COA (from the COA cache)',
+  match: (code) => /^coa:sha256:[0-9a-f]{64}$/.test(code),
+  fetch: async (code) => {
+    const doc = await coaCache.byHash(code.slice('coa:sha256:'.length));
+    if (!doc) throw new Error(`Uploaded COA not in the cache: ${code}`);
+    return { ...doc, cache: 'hit' };
+  },
+  parse: scrapeCoaDocument,
+});
+
+/**
+ * Run a code through the provider registry → { ...strainFields, provider, document? } | null (throws if every matching
+ * provider failed). `document` is { hash, cache, fetchedAt } for fetched COAs; `offline` resolves from the cache only,
+ * `deadline` (epoch ms) bounds the download.
+ */
+async function resolveCoa(code, { offline, deadline } = {}) {
   const codeStr = String(code || '');
-  if (looksLikeUrl(codeStr)) {
+  let u = null;
+  try { u = new URL(codeStr); } catch {}
+
+  const docs = new Map(); // providers sharing a fetcher reuse the same download
+  let lastErr = null;
+  for (const p of COA_PROVIDERS) {
+    if (!p.match(codeStr, u)) continue;
     try {
-      const u = new URL(codeStr);
-      const host = u.hostname.toLowerCase();
-      const path = u.pathname.toLowerCase();
-      if (host.includes('trulieve.com') && path.endsWith('.pdf')) {
-        const r = await scrapeTrulieveLabPdf(codeStr);
-        if (r) return r;
+      let doc = null;
+      if (p.fetch) {
+        if (!docs.has(p.fetch)) docs.set(p.fetch, p.fetch(codeStr, { offline, deadline }));
+        doc = await docs.get(p.fetch);
       }
-    } catch {}
-  }
-  if (codeStr.toLowerCase().includes('wedding-cake')) {
-    return { name: 'Wedding Cake', thc: 23, bucket: 'hybrid', type: 'Hybrid', terpenes: ['Caryophyllene','Limonene','Humulene'] };
+      const data = await p.parse(doc, codeStr);
+      if (data) return { ...data, provider: p.id, document: doc?.hash ? { hash: doc.hash, cache: doc.cache, fetchedAt: doc.fetchedAt } : undefined };
+      lastErr = null;
+    } catch (e) {
+      lastErr = e;
+    }
   }
+  if (lastErr) throw lastErr;
   return null;
 }
 
+// null when nothing resolved. A safe-fetch rejection (blocked host, too large…) or a transient vendor failure
+// (timeout, 5xx, open circuit) still throws: that's the answer, not "no COA here"
+async function scrapeFromCode(code, opts) {
+  try { return await resolveCoa(code, opts); } catch (e) {
+    if (FETCH_ERRORS[e?.code] || isTransientError(e)) throw e;
+    return null;
+  }
+}
+
+/** registry result -> the response shape /api/ingest-coa has always returned */
+function toCoaSummary(data, url) {
+  const terps = data?.terpenes || [];
+  return {
+    sourceUrl: url,
+    provider: data?.provider || null,
+    strain: data?.name ?? null,
+    type: data?.type ?? null,
+    dominantTerpene: terps[0] ?? null,
+    otherTerpenes: terps.slice(1),
+    thc: { totalPercent: data?.thc ?? null },
+    fields: data?.fields || null,
+    document: data?.document,
+  };
+}
+
+/* ================= Re-parse / backfill ================= */
+// Re-run the current extraction over every stored COA (cache first) so parser fixes reach old records.
+// CLI: `npm run reparse [-- --apply] [--offline] [--id=<id>]`; HTTP: POST /api/admin/reparse.
+
+/** Strain fields a person can set (POST /api/strains records which ones in `manual`); re-parse never touches them */
+const MANUAL_FIELDS = ['name', 'type', 'bucket', 'lean', 'thc', 'cannabinoids', 'terpenes', 'terpeneProfile', 'totalTerpenes'];
+const BATCH_FIELDS = ['lot', 'lab', 'testDate', 'thc', 'cannabinoids', 'terpeneProfile', 'totalTerpenes', 'terpenes'];
+
+// Comparable scalars: cannabinoids / terpeneProfile per analyte, lists as one string
+function flatFields(obj, keys) {
+  const out = {};
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (k === 'cannabinoids') for (const [c, a] of Object.entries(v || {})) out[`cannabinoids.${c}`] = a?.percent ?? null;
+    else if (k === 'terpeneProfile') for (const t of v || []) out[`terpeneProfile.${t.name}`] = t.percent;
+    else if (Array.isArray(v)) out[k] = v.length ? v.join(', ') : null;
+    else out[k] = v ?? null;
+  }
+  return out;
+}
+
+/** [{ field, old, new }] for every flattened field that changed */
+function fieldDiff(before, after, keys) {
+  const a = flatFields(before, keys), b = flatFields(after, keys);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(f => JSON.stringify(a[f] ?? null) !== JSON.stringify(b[f] ?? null))
+    .map(f => ({ field: f, old: a[f] ?? null, new: b[f] ?? null }));
+}
+
+// Cached copy first; the network only for documents the cache doesn't have (never with `offline`)
+async function resolveForReparse(code, { offline }) {
+  try {
+    return await resolveCoa(code, { offline: true });
+  } catch (e) {
+    if (e?.code !== 'offline_miss' || offline) throw e;
+    return resolveCoa(code);
+  }
+}
+
+/**
+ * One strain → { id, name, batches: [{ id, code, status: changed|unchanged|skipped|no_match|error, diff, cache, error }],
+ * diff (strain-level), changed, next }. `next` is the updated record (not saved here). Fields listed in the
+ * record's `manual` keep their values, in every batch too.
+ */
+async function reparseStrain(rec, { offline = false } = {}) {
+  const manual = new Set(rec.manual || []);
+  const keys = BATCH_FIELDS.filter(k => !manual.has(k));
+  const batches = [];
+  let typeFromLatest = null;
+  const latestId = sortBatches(rec.batches || [])[0]?.id;
+  const nextBatches = [];
+  for (const b of rec.batches || []) {
+    if (!b.code) { batches.push({ id: b.id, code: null, status: 'skipped' }); nextBatches.push(b); continue; }
+    try {
+      const data = await resolveForReparse(b.code, { offline });
+      if (!data) { batches.push({ id: b.id, code: b.code, status: 'no_match' }); nextBatches.push(b); continue; }
+      const fresh = normalizeStrain({ ...data, code: b.code }).batches[0];
+      const nb = { ...b };
+      for (const k of keys) nb[k] = fresh?.[k];
+      // a hand-entered THC is also the panel's total
+      if (manual.has('thc') && keys.includes('cannabinoids')) nb.cannabinoids = { ...nb.cannabinoids, totalThc: b.cannabinoids?.totalThc };
+      const diff = fieldDiff(b, nb, keys);
+      batches.push({ id: b.id, code: b.code, status: diff.length ? 'changed' : 'unchanged', diff, cache: data.document?.cache });
+      nextBatches.push(nb);
+      if (b.id === latestId) typeFromLatest = { name: data.name, type: data.type };
+    } catch (e) {
+      batches.push({ id: b.id, code: b.code, status: 'error', error: String(e?.message || e) });
+      nextBatches.push(b);
+    }
+  }
+
+  const next = applyBatchSummary({ ...rec, batches: nextBatches });
+  // strain-level: a placeholder name can become the COA's, the type follows the latest COA
+  if (typeFromLatest) {
+    if (!manual.has('name') && !isMeaningfulName(rec.name) && isMeaningfulName(typeFromLatest.name)) next.name = typeFromLatest.name;
+    if (!manual.has('type') && typeFromLatest.type && typeFromLatest.type !== rec.type) {
+      next.type = typeFromLatest.type;
+      if (!manual.has('bucket')) next.bucket = typeToBucket(next.type);
+      if (!manual.has('lean')) next.lean = bucketToLean(next.bucket);
+    }
+  }
+  for (const k of manual) next[k] = rec[k];
+  if (manual.has('terpenes')) next.dominantTerpene = rec.dominantTerpene;
+  // panel and terpenes mirror the latest batch, whose diff already lists them
+  const diff = fieldDiff(rec, next, ['name', 'type', 'bucket', 'lean', 'thc']);
+  const changed = diff.length > 0 || batches.some(x => x.status === 'changed');
+  return { id: rec.id, name: rec.name, changed, diff, batches, next };
+}
+
+/** Every stored strain (or just `ids`) → { apply, results, summary }; `apply` saves the changed ones */
+async function reparseAll({ apply = false, offline = false, ids = null } = {}) {
+  const recs = ids?.length ? ids.map(id => liveStrain(id)).filter(Boolean) : liveStrains();
+  const results = [];
+  for (const rec of recs) {
+    const r = await reparseStrain(rec, { offline });
+    if (apply && r.changed) repo.put(r.next);
+    results.push(r);
+  }
+  const count = (status) => results.reduce((n, r) => n + r.batches.filter(b => b.status === status).length, 0);
+  return {
+    apply,
+    results,
+    summary: {
+      strains: results.length,
+      changed: results.filter(r => r.changed).length,
+      batches: { changed: count('changed'), unchanged: count('unchanged'), skipped: count('skipped'), noMatch: count('no_match'), errors: count('error') },
+    },
+  };
+}
+
+const fmtValue = (v) => (v == null ? '—' : String(v));
+
+/** Human-readable diff for the CLI */
+function printReparse({ apply, results, summary }) {
+  for (const r of results) {
+    const problems = r.batches.filter(b => b.status === 'error' || b.status === 'no_match');
+    if (!r.changed && !problems.length) continue;
+    console.log(`${r.id} (${r.name})`);
+    for (const d of r.diff) console.log(`  ${d.field}: ${fmtValue(d.old)} → ${fmtValue(d.new)}`);
+    for (const b of r.batches) {
+      if (b.status === 'changed') {
+        console.log(`  batch ${b.id} ${b.code}${b.cache ? ` [${b.cache}]` : ''}`);
+        for (const d of b.diff) console.log(`    ${d.field}: ${fmtValue(d.old)} → ${fmtValue(d.new)}`);
+      } else if (b.status !== 'unchanged' && b.status !== 'skipped') {
+        console.log(`  batch ${b.id} ${b.code}: ${b.status}${b.error ? ` (${b.error})` : ''}`);
+      }
+    }
+  }
+  const b = summary.batches;
+  console.log(`${summary.strains} strains, ${summary.changed} changed; batches: ${b.changed} changed, ${b.unchanged} unchanged, ${b.skipped} without a code, ${b.noMatch} no match, ${b.errors} errors`);
+  console.log(apply ? 'Changes saved.' : 'Dry run: pass --apply to save.');
+}
+
 /* ================= API: simple health & list ================= */
 app.get('/', (req, res) => res.send('Buzz backend is running. Try /api/strains'));
 app.get('/healthz', (req, res) => res.status(200).json({ ok: true }));
+// Filters: q (fuzzy name/alias), bucket, type, thcMin, thcMax, terpene, dominantTerpene, code, host
+// Sort: sort=name|thc|recent|relevance (&order=asc|desc). Paging: limit + cursor (or offset). deleted=1 lists the trash
 app.get('/api/strains', (req, res) => {
-  const total = STRAINS.length;
-
-  // Parse query params
-  const offsetRaw = req.query.offset;
-  const limitRaw  = req.query.limit;
-
-  const offset = Math.max(0, Number.isFinite(+offsetRaw) ? parseInt(offsetRaw, 10) : 0);
+  const query = strainQuery(req.query);
+  if (query.error) return res.status(400).json({ error: 'invalid_query', detail: query.error });
+
+  const hits = [];
+  const trash = String(req.query.deleted || '') === '1';
+  const all = repo.all();
+  all.forEach((rec, i) => {
+    if (isLive(rec) === trash) return;
+    const score = query.test(rec);
+    if (score == null) return;
+    const h = { rec, score, age: all.length - 1 - i, id: String(rec.id) };
+    h.key = strainHitKey(h, query.sort);
+    hits.push(h);
+  });
+  const cmp = strainHitOrder(query.sort, query.order);
+  const list = hits.sort(cmp);
+  const total = list.length;
+
+  // Page bounds: a cursor pins one edge to a row's sort key, offset counts from the top
+  let start = 0, end = null;
+  if (req.query.cursor) {
+    const c = decodeCursor(req.query.cursor, query);
+    if (!c) return res.status(400).json({ error: 'invalid_query', detail: 'cursor is not valid for this sort' });
+    const i = c.d === 'next' ? list.findIndex(h => cmp(h, c) > 0) : list.findIndex(h => cmp(h, c) >= 0);
+    if (c.d === 'next') start = i < 0 ? total : i;
+    else end = i < 0 ? total : i;
+  } else {
+    start = Math.max(0, Number.isFinite(+req.query.offset) ? parseInt(req.query.offset, 10) : 0);
+  }
 
-  // If limit is not provided, return everything from offset
-  const computedDefault = Math.max(0, total - offset);
+  // If limit is not provided, return everything from the start (or up to the prev cursor)
+  const computedDefault = Math.max(0, (end ?? total) - start);
+  const limitRaw = req.query.limit;
   const limitParam = (limitRaw === undefined || limitRaw === null || limitRaw === '')
     ? computedDefault
     : parseInt(limitRaw, 10);
 
   // Per-response ceiling only; DOES NOT cap storage size.
   const limit = Math.max(1, Math.min(5000, Number.isFinite(+limitParam) ? limitParam : computedDefault));
+  if (end == null) end = Math.min(total, start + limit);
+  else start = Math.max(0, end - limit);
 
-  // Optional: paging metadata
+  // Paging metadata: filtered total + cursor links that keep the same filters
   res.set('X-Total-Count', String(total));
+  const link = (cursor) => {
+    const params = new URLSearchParams();
+    for (const [k, v] of Object.entries(req.query)) {
+      if (k !== 'cursor' && k !== 'offset') [].concat(v).forEach(x => params.append(k, String(x)));
+    }
+    params.set('limit', String(limit));
+    params.set('cursor', cursor);
+    return `${req.baseUrl}${req.path}?${params}`;
+  };
+  const links = [];
+  if (end > start && end < total) {
+    const next = encodeCursor(query, list[end - 1], 'next');
+    res.set('X-Next-Cursor', next);
+    links.push(`<${link(next)}>; rel="next"`);
+  }
+  if (start > 0 && start < total) links.push(`<${link(encodeCursor(query, list[start], 'prev'))}>; rel="prev"`);
+  if (links.length) res.set('Link', links.join(', '));
 
-  res.json(STRAINS.slice(offset, offset + limit));
+  res.json(list.slice(start, end).map(h => h.rec));
 });
 
 /* ================= API: COA ingestion ================= */
 // Minimal: return scraper output (no DB write) — supports POST and GET
-app.post('/api/ingest-coa', async (req, res) => {
+// ?offline=1 (or body.offline) resolves from the COA cache only; otherwise COA_OFFLINE decides
+const offlineParam = (req) => (String(req.query?.offline ?? req.body?.offline ?? '') === '1' ? true : undefined);
+
+// A URL is refused up front (file:, ftp:, a blocked host → safe-fetch's code) rather than falling through every
+// provider to no_provider_matched; uploaded-COA codes (coa:sha256:…) never fetch, so they pass
+const checkCoaUrl = (url) => { if (!/^coa:sha256:/.test(url)) safeFetch.checkUrl(url); };
+
+async function ingestCoa(url, res, { offline } = {}) {
+  if (!url) return res.status(400).json({ error: 'Missing url' });
   try {
-    const url = String(req.body?.url || '').trim();
-    if (!url) return res.status(400).json({ error: 'Missing url' });
-    const parsed = await parseCoa(url);
-    return res.json(parsed); // parsed includes "type" if scraper implements it
+    checkCoaUrl(url);
+    const data = await resolveCoa(url, { offline });
+    if (!data) return res.status(404).json({ error: 'Not found', detail: 'no_provider_matched' });
+    return res.json(toCoaSummary(data, url));
   } catch (e) {
+    if (e?.code === 'offline_miss') return res.status(404).json({ error: 'Not cached', detail: 'offline_miss' });
+    if (sendFetchFailure(res, e)) return;
     return res.status(500).json({ error: 'ingest_failed', detail: String(e?.message || e) });
   }
-});
-app.get('/api/ingest-coa', async (req, res) => {
+}
+app.post('/api/ingest-coa', (req, res) => ingestCoa(String(req.body?.url || '').trim(), res, { offline: offlineParam(req) }));
+app.get('/api/ingest-coa', (req, res) => ingestCoa(String(req.query?.url || '').trim(), res, { offline: offlineParam(req) }));
+
+// Uploaded COA (emailed PDF, saved portal page): no URL to fetch, so its identity is the content hash
+const coaUploadCode = (buffer) => `coa:sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+
+function uploadedCoaDocument(file, sourceUrl) {
+  const head = file.buffer.subarray(0, 512).toString('utf8').trimStart().toLowerCase();
+  const type = isPdfBuffer(file.buffer) || /application\/pdf/i.test(file.mimetype) ? 'pdf'
+    : /text\/(html|plain)|application\/xhtml/i.test(file.mimetype) || head.startsWith('<') ? 'html'
+    : null;
+  return type && { type, buffer: file.buffer, contentType: file.mimetype, url: sourceUrl };
+}
+
+// Same extraction as /api/ingest-coa, entirely offline. ?upsert=1 saves it; ?source_url= keeps where it came from
+// (and lets the engine read a batch/name from it), otherwise the file name is the hint
+app.post('/api/ingest-coa/upload', upload.single('file'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file provided', detail: 'send the COA as form-data "file"' });
+  const sourceUrl = String(req.query.source_url || req.body?.source_url || '').trim() || null;
+  const doc = uploadedCoaDocument(req.file, sourceUrl);
+  if (!doc) return res.status(415).json({ error: 'Unsupported file', detail: 'expected a PDF or HTML COA' });
+
   try {
-    const url = String(req.query?.url || '').trim();
-    if (!url) return res.status(400).json({ error: 'Missing url' });
-    const parsed = await parseCoa(url);
-    return res.json(parsed);
+    // kept in the COA cache under its hash, so the code resolves again later (and offline)
+    doc.hash = await coaCache.put(req.file.buffer).catch((e) => { console.warn('[coa-cache] upload not saved:', e?.message || e); });
+    const data = await scrapeCoaDocument(doc, sourceUrl || req.file.originalname || null);
+    if (!data) return res.status(422).json({ error: 'Not a COA', detail: 'no_coa_fields' });
+    const code = coaUploadCode(req.file.buffer);
+    const out = { ...toCoaSummary({ ...data, provider: 'upload' }, sourceUrl), code, fileName: req.file.originalname || null };
+    if (String(req.query.upsert || req.body?.upsert || '') === '1') {
+      // `strain` stays the summary's name either way; the saved record goes under its own key
+      const record = upsertStrain(normalizeStrain({ ...data, provider: 'upload', code }));
+      if (!isLive(record)) return res.status(410).json({ ...deletedStrain(record), saved: false });
+      Object.assign(out, { saved: true, record });
+    }
+    return res.json(out);
   } catch (e) {
-    return res.status(500).json({ error: 'ingest_failed', detail: String(e?.message || e) });
+    return res.status(422).json({ error: 'ingest_failed', detail: String(e?.message || e) });
   }
 });
 
 // Save-on-scan: parse the URL, normalize it, UPSERT into your strains list, return it
+// A vendor that is down or slow answers 202 pending_resolve; the strain is saved by the background retry
 app.post('/api/scan', async (req, res) => {
+  const url = String(req.body?.url || req.body?.link || '').trim();
+  if (!url) return res.status(400).json({ error: 'Missing url' });
   try {
-    const url = String(req.body?.url || req.body?.link || '').trim();
-    if (!url) return res.status(400).json({ error: 'Missing url' });
-
-    const parsed = await parseCoa(url);
-    const normalizedInput = coalesceParsedToStrain(parsed, url);
-    const norm = normalizeStrain(normalizedInput);
-
-    upsertStrain(norm);
-    return res.json({ strain: norm, saved: true });
+    checkCoaUrl(url);
+    const data = await resolveCoa(url, { offline: offlineParam(req), deadline: Date.now() + SCAN_RESOLVE_MS });
+    if (!data) return res.status(404).json({ error: 'Not found', detail: 'no_provider_matched' });
+    const norm = normalizeStrain({ ...data, code: url });
+
+    const saved = upsertStrain(norm);
+    if (!isLive(saved)) return res.status(410).json({ ...deletedStrain(saved), saved: false });
+    return res.json({ strain: saved, provider: data.provider, fields: data.fields || null, document: data.document, saved: true });
   } catch (e) {
+    if (e?.code === 'offline_miss') return res.status(404).json({ error: 'Not cached', detail: 'offline_miss' });
+    if (isTransientError(e)) return res.status(202).json({ status: 'pending_resolve', saved: false, pending: pendingResolves.add(url, {}, e) });
+    if (sendFetchFailure(res, e)) return;
     console.error('scan error', e);
     return res.status(500).json({ error: 'scan_failed', detail: String(e?.message || e) });
   }
@@ -553,227 +1260,901 @@ app.post('/api/scan', async (req, res) => {
 /* ================= API: resolver & CRUD ================= */
 function safeDecode(s) { try { return decodeURIComponent(String(s)); } catch { return String(s); } }
 
+// A vendor that is down or slower than SCAN_RESOLVE_MS answers 202 pending_resolve, like /api/scan
 app.get('/api/strains/resolve', async (req, res) => {
   const raw = typeof req.query.code === 'string' ? req.query.code : '';
   const code = safeDecode(raw).trim();
   if (!code) return res.status(400).json({ error: 'Missing code' });
 
+  const hit = catalogHit(code);
+  if (hit) {
+    if (String(req.query.explain || '') === '1') return res.json({ strain: hit.strain, provider: 'catalog', fields: null, catalog: catalogItem(hit) });
+    return res.json(hit.strain);
+  }
   try {
-    const data = await scrapeFromCode(code);
-    if (!data) return res.status(404).json({ error: 'Not found' });
-    const norm = normalizeStrain({ ...data, code });
-    if (String(req.query.upsert || '') === '1') upsertStrain(norm);
+    const data = await scrapeFromCode(code, { offline: offlineParam(req), deadline: Date.now() + SCAN_RESOLVE_MS });
+    if (!data) return res.status(404).json({ error: 'Not found', catalogLink: catalogLinkFor(code) });
+    let norm = normalizeStrain({ ...data, code });
+    const stored = findStrain(norm);
+    if (stored && !isLive(stored)) return res.status(410).json(deletedStrain(stored));
+    if (String(req.query.upsert || '') === '1') norm = upsertStrain(norm);
+    else norm = withStoredIdentity(norm);
+    // explain=1 → also return per-field confidence/provenance from the extraction engine
+    if (String(req.query.explain || '') === '1') return res.json({ strain: norm, provider: data.provider, fields: data.fields || null, document: data.document });
     return res.json(norm);
   } catch (err) {
+    if (isTransientError(err)) return res.status(202).json({ code, status: 'pending_resolve', saved: false, pending: pendingResolves.add(code, {}, err) });
+    if (sendFetchFailure(res, err)) return;
     return res.status(500).json({ error: 'resolve_failed', detail: String(err?.message || err) });
   }
 });
 
+// Fuzzy duplicate candidates (similar names/aliases, shared codes or lots) + records named after a code
+app.get('/api/strains/duplicates', (req, res) => {
+  const min = Math.min(1, Math.max(0, Number(req.query.min) || 0.8));
+  const brief = (x) => ({ id: x.id, name: x.name, aliases: x.aliases || [], batches: (x.batches || []).length });
+  const all = liveStrains();
+  const candidates = [];
+  for (let i = 0; i < all.length; i++) {
+    for (let j = i + 1; j < all.length; j++) {
+      const m = duplicateScore(all[i], all[j]);
+      if (m.score >= min) candidates.push({ a: brief(all[i]), b: brief(all[j]), ...m });
+    }
+  }
+  candidates.sort((x, y) => y.score - x.score);
+  const unnamed = all.filter(x => !isMeaningfulName(x.name)).map(x => ({ ...brief(x), code: x.code }));
+  res.json({ min, candidates, unnamed });
+});
+
+// "What else is like this one?" — ranked by terpene profile, bucket and potency
+app.get('/api/strains/:id/similar', (req, res) => {
+  const s = liveStrain(String(req.params.id || '').trim());
+  if (!s) return res.status(404).json({ error: 'not_found' });
+  res.json({ target: { id: s.id, name: s.name }, results: rankSimilar(s, similarOpts(req.query)) });
+});
+
+// Same, for a profile that isn't saved yet (e.g. a COA just parsed): { terpeneProfile | terpenes, type | bucket, thc | cannabinoids }
+app.post('/api/strains/similar', (req, res) => {
+  const { name, terpeneProfile, terpenes, type, bucket, thc, cannabinoids } = req.body || {};
+  const target = normalizeStrain({ name: name || 'Ad-hoc profile', terpeneProfile, terpenes, type, bucket, thc, cannabinoids });
+  if (!target.terpenes.length && exactThc(target) == null) {
+    return res.status(400).json({ error: 'Missing profile', detail: 'send terpeneProfile or terpenes (and optionally type/bucket, thc)' });
+  }
+  target.id = undefined; // nothing stored to skip
+  if (!type && !bucket) target.bucket = undefined; // unknown, not "hybrid"
+  res.json({ target: { name: target.name, adhoc: true }, results: rankSimilar(target, similarOpts(req.query)) });
+});
+
+// Fold `from` into :id — aliases, codes and batches move over; the old id and codes resolve to :id afterwards
+app.post('/api/strains/:id/merge', (req, res) => {
+  const into = liveStrain(String(req.params.id || '').trim());
+  if (!into) return res.status(404).json({ error: 'not_found' });
+  const fromIds = [].concat(req.body?.from ?? []).map(x => String(x).trim()).filter(Boolean);
+  if (!fromIds.length) return res.status(400).json({ error: 'Missing from', detail: 'body.from must be a strain id or array of ids' });
+
+  const sources = [];
+  for (const fid of fromIds) {
+    const src = liveStrain(fid);
+    if (!src) return res.status(404).json({ error: 'not_found', detail: `from:${fid}` });
+    if (src.id === into.id) return res.status(400).json({ error: 'Cannot merge a strain into itself', detail: `from:${fid}` });
+    if (!sources.some(x => x.id === src.id)) sources.push(src);
+  }
+
+  const rec = mergeStrains(into, sources);
+  return res.json({ strain: rec, merged: sources.map(x => x.id) });
+});
+
 app.get('/api/strains/:id', (req, res) => {
-  const id = String(req.params.id || '').trim().toLowerCase();
-  const s = STRAINS.find(x => String(x.id).toLowerCase() === id);
+  const s = getStrain(String(req.params.id || '').trim());
   if (!s) return res.status(404).json({ error: 'not_found' });
-  res.json(s);
+  if (!isLive(s)) return res.status(410).json(deletedStrain(s));
+  res.set('ETag', strainEtag(s)).json(s); // If-None-Match → 304 is handled by express
+});
+
+// Batch history: every COA seen for this strain, newest first
+app.get('/api/strains/:id/batches', (req, res) => {
+  const s = liveStrain(String(req.params.id || '').trim());
+  if (!s) return res.status(404).json({ error: 'not_found' });
+  res.json({ id: s.id, name: s.name, summary: s.batchSummary || null, batches: s.batches || [] });
+});
+
+app.get('/api/strains/:id/batches/:batchId', (req, res) => {
+  const s = liveStrain(String(req.params.id || '').trim());
+  if (!s) return res.status(404).json({ error: 'not_found' });
+  const b = (s.batches || []).find(x => x.id === String(req.params.batchId));
+  if (!b) return res.status(404).json({ error: 'not_found', detail: 'batch_not_found' });
+  res.json(b);
 });
 
 app.post('/api/strains', (req, res) => {
-  const { code, name, thc, bucket, lean, terpenes, type } = req.body || {};
+  const { code, name, aliases, thc, bucket, lean, terpenes, terpeneProfile, totalTerpenes, type, cannabinoids } = req.body || {};
   if (!name || !String(name).trim()) return res.status(400).json({ error: 'name is required' });
-  const strain = normalizeStrain({ code: safeDecode(code || ''), name, thc, bucket, lean, terpenes, type });
-  upsertStrain(strain);
-  return res.status(201).json(strain);
+  const strain = normalizeStrain({
+    code: safeDecode(code || ''), name, aliases, thc, bucket, lean, terpenes, terpeneProfile, totalTerpenes, type, cannabinoids,
+  });
+  // what was typed in by hand is left alone by re-parse (see MANUAL_FIELDS)
+  const manual = MANUAL_FIELDS.filter(k => req.body?.[k] != null);
+  // landing on a soft-deleted strain takes ?restore=1 (or POST /api/strains/:id/restore first)
+  const restore = String(req.query.restore || '') === '1';
+  const rec = upsertStrain({ ...strain, manual }, { restore });
+  if (!isLive(rec)) {
+    const gone = deletedStrain(rec);
+    return res.status(410).json({ ...gone, detail: `${gone.detail} (or send ?restore=1)` });
+  }
+  return res.status(201).set('ETag', strainEtag(rec)).json(rec);
 });
 
-/* ================= API: photo scan (QR/COA code) ================= */
-app.post('/api/strains/scan-upload', upload.single('image'), async (req, res) => {
-  const t0 = Date.now();
+/* ===== Edits: ETag / If-Match, PATCH, soft delete ===== */
+// The ETag hashes the stored record, so any change to it (an edit, a new batch, a merge) changes the tag.
+// A write that sends If-Match only lands on the version it was read from; without the header it always lands.
+const strainEtag = (rec) => `"${crypto.createHash('sha1').update(JSON.stringify(rec)).digest('hex').slice(0, 20)}"`;
+
+/** true when If-Match is absent, `*` or lists the current tag; else answers 412 with the current record */
+function ifMatch(req, res, rec) {
+  const header = req.get('If-Match');
+  const tag = strainEtag(rec);
+  // W/ is ignored: a proxy that compresses the response weakens the tag the client saw
+  if (!header || header.trim() === '*' || header.split(',').some(t => t.trim().replace(/^W\//, '') === tag)) return true;
+  res.status(412).set('ETag', tag).json({ error: 'precondition_failed', detail: 'The strain changed since it was read; re-apply the edit to the current version', current: rec });
+  return false;
+}
+
+const isPercent = (v) => (typeof v === 'number' || (typeof v === 'string' && /^\s*\d+(?:\.\d+)?\s*$/.test(v)))
+  && Number.isFinite(Number(v)) && Number(v) >= 0 && Number(v) <= 100;
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+const isNameList = (v) => Array.isArray(v) && v.every(x => typeof x === 'string');
+
+// Editable field → [check for a non-null value, what it must be]
+const PATCH_CHECKS = {
+  name: [v => typeof v === 'string', 'a string'],
+  type: [v => typeof v === 'string', 'a string'],
+  bucket: [v => typeof v === 'string' && (Object.hasOwn(BUCKET_ALIASES, v) || Object.values(BUCKET_ALIASES).includes(v)), `one of ${Object.values(BUCKET_ALIASES).join(', ')}`],
+  lean: [v => typeof v === 'string', 'a string'],
+  thc: [isPercent, 'a percent (0-100)'],
+  cannabinoids: [isPlainObject, 'an object of percents ({ thca: 24.1, ... })'],
+  terpenes: [v => typeof v === 'string' || isNameList(v), 'a list of names'],
+  terpeneProfile: [v => Array.isArray(v) || isPlainObject(v), '[{ name, percent }] or { name: percent }'],
+  totalTerpenes: [isPercent, 'a percent (0-100)'],
+  aliases: [isNameList, 'an array of names'],
+};
+const PATCH_FIELDS = Object.keys(PATCH_CHECKS);
+// Stored per COA: an edit goes into the latest batch, which the strain mirrors
+const BATCH_BACKED = ['thc', 'cannabinoids', 'terpeneProfile', 'totalTerpenes', 'terpenes'];
+
+/**
+ * Apply a partial update → { rec } (not saved) or { status, error, detail }. A value sets the field and lists it in
+ * `manual` (re-parse leaves it alone); null clears it and drops it from `manual`, so the next re-parse refills it
+ * from the COA.
+ * Derived fields follow: bucket/lean from a new type, the THC total from thc, terpenes replace the measured profile.
+ */
+function patchStrain(rec, patch) {
+  const keys = Object.keys(patch);
+  const unknown = keys.filter(k => !PATCH_FIELDS.includes(k));
+  if (unknown.length) return { status: 400, error: 'invalid_patch', detail: `Unknown field(s): ${unknown.join(', ')}; editable: ${PATCH_FIELDS.join(', ')}` };
+  if (!keys.length) return { status: 400, error: 'invalid_patch', detail: `Nothing to update; editable: ${PATCH_FIELDS.join(', ')}` };
+  const has = (k) => keys.includes(k);
+  for (const k of keys) {
+    const [ok, what] = PATCH_CHECKS[k];
+    if (patch[k] != null && !ok(patch[k])) return { status: 400, error: 'invalid_patch', detail: `${k} must be ${what}` };
+  }
+
+  const name = has('name') ? String(patch.name ?? '').trim() : rec.name;
+  if (has('name')) {
+    if (!isMeaningfulName(name)) return { status: 400, error: 'invalid_patch', detail: 'name must be a real strain name' };
+    const other = findStrain({ name });
+    if (other && other.id !== rec.id) return { status: 409, error: 'name_taken', detail: `POST /api/strains/${other.id}/merge folds the two together`, id: other.id };
+  }
+
+  const manual = new Set(rec.manual || []);
+  const latest = sortBatches(rec.batches || [])[0];
+  const src = latest || rec;
+  const input = { id: rec.id, name, type: rec.type, bucket: rec.bucket, lean: rec.lean, batches: [] };
+  for (const k of BATCH_BACKED) input[k] = src[k];
+  for (const k of keys) input[k] = patch[k] ?? undefined;
+  if (input.bucket && Object.hasOwn(BUCKET_ALIASES, input.bucket)) input.bucket = BUCKET_ALIASES[input.bucket];
+  if (has('type') && !has('bucket') && !manual.has('bucket')) input.bucket = undefined;
+  if ((has('type') || has('bucket')) && !has('lean') && !manual.has('lean')) input.lean = undefined;
+  if (has('thc') && !has('cannabinoids')) input.cannabinoids = { ...input.cannabinoids, totalThc: undefined };
+  if (has('thc') && patch.thc == null) input.thc = undefined; // back to the panel's total
+  if (has('terpenes') && !has('terpeneProfile')) input.terpeneProfile = undefined;
+  const norm = normalizeStrain(input);
+
+  for (const k of keys) if (MANUAL_FIELDS.includes(k)) (patch[k] == null ? manual.delete(k) : manual.add(k));
+  const next = {
+    ...rec,
+    name,
+    aliases: has('aliases') ? mergeAliases(name, patch.aliases || []) : mergeAliases(name, rec.aliases || [], [rec.name]),
+    type: norm.type,
+    bucket: norm.bucket,
+    lean: norm.lean,
+    manual: [...manual],
+  };
+  const values = {
+    thc: norm.cannabinoids?.totalThc?.percent ?? norm.thc,
+    cannabinoids: norm.cannabinoids,
+    terpeneProfile: norm.terpeneProfile,
+    totalTerpenes: norm.totalTerpenes,
+    terpenes: norm.terpenes,
+  };
+  if (latest) next.batches = rec.batches.map(b => (b.id === latest.id ? { ...b, ...values } : b));
+  else Object.assign(next, values, { thc: norm.thc ?? null, dominantTerpene: norm.dominantTerpene });
+  return { rec: applyBatchSummary(next) };
+}
+
+// Partial update: only the fields sent change (null clears a hand-set value); If-Match guards against lost updates
+app.patch('/api/strains/:id', (req, res) => {
+  const s = liveStrain(String(req.params.id || '').trim());
+  if (!s) return res.status(404).json({ error: 'not_found' });
+  if (!ifMatch(req, res, s)) return;
+  const body = req.body;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return res.status(400).json({ error: 'invalid_patch', detail: 'Send a JSON object of fields to change' });
+  const { rec, status, ...err } = patchStrain(s, body);
+  if (!rec) return res.status(status).json(err);
+  const saved = repo.put(rec);
+  res.set('ETag', strainEtag(saved)).json(saved);
+});
+
+// Soft delete: the record drops out of lists, lookups and scans until restored (its codes and names stay reserved)
+app.delete('/api/strains/:id', (req, res) => {
+  const s = getStrain(String(req.params.id || '').trim());
+  if (!s) return res.status(404).json({ error: 'not_found' });
+  if (!isLive(s)) return res.set('ETag', strainEtag(s)).json(s);
+  if (!ifMatch(req, res, s)) return;
+  const saved = repo.put({ ...s, deletedAt: new Date().toISOString() });
+  res.set('ETag', strainEtag(saved)).json(saved);
+});
+
+app.post('/api/strains/:id/restore', (req, res) => {
+  const s = getStrain(String(req.params.id || '').trim());
+  if (!s) return res.status(404).json({ error: 'not_found' });
+  if (isLive(s)) return res.set('ETag', strainEtag(s)).json(s);
+  if (!ifMatch(req, res, s)) return;
+  const { deletedAt, ...rest } = s;
+  const saved = repo.put(rest);
+  res.set('ETag', strainEtag(saved)).json(saved);
+});
+
+/* ================= API: product catalog ================= */
+/** { strainId } or { strain: name } → the stored strain, else null */
+const catalogStrain = (b) => {
+  const s = b?.strainId ? getStrain(String(b.strainId).trim())
+    : b?.strain && isMeaningfulName(b.strain) ? findStrain({ name: String(b.strain).trim() }) : null;
+  return s && isLive(s) ? s : null;
+};
+
+/** Validate one link request → { code, strain, opts } | { error, detail } (status in `status`) */
+function catalogLinkRequest(rawCode, b, { create = false } = {}) {
+  const code = catalogCode(rawCode);
+  if (!code) return { status: 400, error: 'Invalid code', detail: 'a barcode value (COA URLs resolve on their own)' };
+  let strain = catalogStrain(b);
+  if (!strain && create && b?.strain && isMeaningfulName(b.strain)) strain = upsertStrain(normalizeStrain({ name: String(b.strain).trim() }));
+  if (strain && !isLive(strain)) return { status: 410, ...deletedStrain(strain) };
+  if (!strain) return { status: b?.strainId || b?.strain ? 404 : 400, error: b?.strainId || b?.strain ? 'not_found' : 'Missing strain', detail: b?.strainId || b?.strain ? 'strain_not_found' : 'send strainId or strain (name)' };
+  const batchId = b?.batchId ? String(b.batchId) : undefined;
+  if (batchId && !(strain.batches || []).some(x => x.id === batchId)) return { status: 400, error: 'Unknown batch', detail: `strain ${strain.id} has no batch ${batchId}` };
+  return { code, strain, opts: { batchId, format: b?.format ? String(b.format) : undefined, label: b?.label ? String(b.label) : undefined } };
+}
+
+// q matches code, label or strain name
+app.get('/api/catalog', (req, res) => {
+  const q = String(req.query.q || '').trim().toLowerCase();
+  const items = liveStrains().flatMap(strain => (strain.barcodes || []).map(entry => catalogItem({ strain, entry })))
+    .filter(x => !q || [x.code, x.label, x.strain.name].some(v => String(v || '').toLowerCase().includes(q)))
+    .sort((a, b) => String(b.addedAt).localeCompare(String(a.addedAt)));
+  res.json({ count: items.length, items });
+});
+
+app.get('/api/catalog/:code', (req, res) => {
+  const hit = catalogHit(safeDecode(req.params.code));
+  if (!hit) return res.status(404).json({ error: 'not_found' });
+  res.json({ ...catalogItem(hit), strain: hit.strain });
+});
+
+// Create or relink: { strainId | strain, batchId?, format?, label? }. The link call after a not_found scan.
+app.put('/api/catalog/:code', (req, res) => {
+  const r = catalogLinkRequest(safeDecode(req.params.code), req.body);
+  if (r.error) return res.status(r.status).json({ error: r.error, detail: r.detail });
+  const { item, created } = linkBarcode(r.code, r.strain, r.opts);
+  res.status(created ? 201 : 200).json(item);
+});
+
+app.delete('/api/catalog/:code', (req, res) => {
+  if (!unlinkBarcode(safeDecode(req.params.code))) return res.status(404).json({ error: 'not_found' });
+  res.json({ deleted: true });
+});
+
+/** CSV with a header row → objects keyed by header (quoted fields may hold commas and "" escapes) */
+function parseCsv(text) {
+  const rows = String(text || '').split(/\r?\n/).filter(l => l.trim()).map(line =>
+    [...line.matchAll(/(?:^|,)(?:"((?:[^"]|"")*)"|([^,]*))/g)].map(m => (m[1] != null ? m[1].replace(/""/g, '"') : m[2]).trim()));
+  const head = (rows.shift() || []).map(h => h.toLowerCase().replace(/[\s_]+/g, ''));
+  return rows.map(cells => Object.fromEntries(head.map((h, i) => [h, cells[i] ?? ''])));
+}
+
+// Column aliases for imports: barcode/upc/ean → code, strain_id → strainId, name → strain, batch_id → batchId
+const importRow = (r) => ({
+  code: r.code ?? r.barcode ?? r.upc ?? r.ean,
+  strainId: r.strainId ?? r.strainid,
+  strain: r.strain ?? r.name,
+  batchId: r.batchId ?? r.batchid,
+  format: r.format,
+  label: r.label,
+});
+
+// Bulk import: JSON { items: [...] } (or a bare array), or text/csv with a header row. ?create=1 adds missing strains by name.
+app.post('/api/catalog/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+  const rows = typeof req.body === 'string' ? parseCsv(req.body)
+    : Array.isArray(req.body) ? req.body
+    : Array.isArray(req.body?.items) ? req.body.items : null;
+  if (!rows) return res.status(400).json({ error: 'Missing items', detail: 'send { items: [...] }, a JSON array, or text/csv' });
+  const create = String(req.query.create || '') === '1';
+  let created = 0, updated = 0;
+  const failed = [];
+  rows.forEach((raw, row) => {
+    const b = importRow(raw || {});
+    const r = catalogLinkRequest(b.code, b, { create });
+    if (r.error) return failed.push({ row, code: b.code ?? null, error: r.error, detail: r.detail });
+    if (linkBarcode(r.code, r.strain, r.opts).created) created++; else updated++;
+  });
+  res.json({ total: rows.length, created, updated, failed });
+});
+
+/* ================= API: admin ================= */
+// Re-parse stored COAs with the current engine: ?apply=1 saves, ?offline=1 uses cached documents only,
+// ?id= (repeat or comma list) limits it. Only strains with changes or problems are listed.
+app.post('/api/admin/reparse', async (req, res) => {
+  const ids = [].concat(req.query.id ?? req.body?.ids ?? []).flatMap(x => String(x).split(',')).map(x => x.trim()).filter(Boolean);
   try {
-    if (!req.file) return res.status(400).json({ error: 'No image provided' });
+    const out = await reparseAll({
+      apply: String(req.query.apply ?? req.body?.apply ?? '') === '1',
+      offline: String(req.query.offline ?? req.body?.offline ?? '') === '1',
+      ids,
+    });
+    const results = out.results
+      .filter(r => r.changed || r.batches.some(b => b.status === 'error' || b.status === 'no_match'))
+      .map(({ next, ...r }) => r);
+    res.json({ apply: out.apply, summary: out.summary, results });
+  } catch (e) {
+    res.status(500).json({ error: 'reparse_failed', detail: String(e?.message || e) });
+  }
+});
 
-    const budgetMs = Math.max(1000, Math.min(60000, Number(req.query.budget_ms || process.env.SCAN_BUDGET_MS || 12000)));
-    const mode = String(req.query.mode || 'auto').toLowerCase(); // 'fast' | 'auto'
-    const debugSave = String(req.query.debug_save || '') === '1';
-    const skipOcr = String(req.query.skip_ocr || '') === '1';
+/* ================= Scan pipeline (shared by scan-upload and scan jobs) ================= */
+function scanOptions(q) {
+  return {
+    budgetMs: Math.max(1000, Math.min(60000, Number(q.budget_ms || process.env.SCAN_BUDGET_MS || 12000))),
+    mode: String(q.mode || 'auto').toLowerCase(), // 'fast' | 'auto' | 'multi' | 'label'
+    debugSave: String(q.debug_save || '') === '1',
+    skipOcr: String(q.skip_ocr || '') === '1',
+    autocreate: String(q.autocreate || '') === '1',
+    precheck: String(q.precheck || '') === '1',
+  };
+}
 
-    const debugDir = path.join(DATA_DIR, 'debug', `scan_${Date.now()}`);
-    if (debugSave) await ensureDir(debugDir);
-    let attempts = 0;
-    async function saveAttempt(img, tag) {
-      if (!debugSave) return;
-      try {
-        const p = path.join(debugDir, `attempt_${String(++attempts).padStart(3,'0')}_${tag}.png`);
-        await img.png().toFile(p);
-      } catch {}
-    }
+/**
+ * Blur / exposure / glare / resolution / code-size check on the upload (image-quality.js, on the pool).
+ * → { ok, hints, metrics, strategy, located, size }: `located` regions are in `size` pixels (a ≤1000 px copy).
+ * `strategy` is where decoding should start: a small code in a big frame goes straight to localization.
+ */
+async function assessScanQuality(buf) {
+  const meta = await sharp(buf).metadata();
+  const { data, info } = await sharp(buf).grayscale()
+    .resize({ width: 1000, height: 1000, fit: 'inside', withoutEnlargement: true }).raw().toBuffer({ resolveWithObject: true });
+  const image = { data: toShared(data), width: info.width, height: info.height, channels: info.channels };
+  const q = await scanPool.run({ type: 'quality', image, frame: { width: meta.width || info.width, height: meta.height || info.height } }, { timeoutMs: 10000 });
+  return {
+    ok: !q.hints.some(h => BLOCKING_HINTS.has(h)),
+    hints: q.hints,
+    metrics: q.metrics,
+    strategy: q.hints.includes('move_closer') && q.metrics.regions ? 'heavy' : 'fast',
+    located: q.located,
+    size: { width: info.width, height: info.height },
+  };
+}
+const publicQuality = ({ ok, hints, metrics, strategy }) => ({ ok, hints, metrics, strategy });
+
+// How long a scan waits on the vendor before answering pending_resolve
+const SCAN_RESOLVE_MS = (Number(process.env.SCAN_RESOLVE_SECONDS) || 10) * 1000;
+
+// Codes whose vendor was down or slow at scan time: resolved (and saved) in the background
+const pendingResolves = createPendingResolves({
+  resolve: async ({ code, autocreate }) => {
+    const r = await resolveScannedCode(code, { autocreate, background: true });
+    return { status: r.status, strain: r.strain ? { id: r.strain.id, name: r.strain.name } : null, rejected: r.rejected };
+  },
+  isTransient: isTransientError,
+  maxAttempts: Number(process.env.PENDING_RESOLVE_ATTEMPTS) || 12,
+});
 
-    const hints = new Map();
-    hints.set(DecodeHintType.POSSIBLE_FORMATS, [
-      BarcodeFormat.QR_CODE, BarcodeFormat.EAN_13, BarcodeFormat.EAN_8, BarcodeFormat.UPC_A, BarcodeFormat.UPC_E,
-      BarcodeFormat.CODE_128, BarcodeFormat.CODE_39, BarcodeFormat.ITF, BarcodeFormat.AZTEC,
-      BarcodeFormat.DATA_MATRIX, BarcodeFormat.PDF_417
-    ]);
-    hints.set(DecodeHintType.TRY_HARDER, true);
-    const reader = new MultiFormatReader();
-    reader.setHints(hints);
-
-    // Pre-resize & grayscale
-    let base0 = sharp(req.file.buffer).grayscale().normalize();
-    const meta0 = await base0.metadata();
-    const maxDim = 1800;
-    const needResize = Math.max(meta0.width || 0, meta0.height || 0) > maxDim;
-    if (needResize) {
-      base0 = base0.resize({ width: meta0.width >= meta0.height ? maxDim : undefined, height: meta0.height > meta0.width ? maxDim : undefined });
-    }
+/**
+ * Resolve a decoded code and upsert it (or create a placeholder with `autocreate`) → { status, strain?, fields?, catalog?,
+ * rejected?, pending? }. Cataloged barcodes answer from the store, without a fetch. A URL the fetch layer refuses is
+ * not_found with `rejected: { error, detail }`, and never gets a placeholder. When the vendor is down or slower than
+ * SCAN_RESOLVE_MS the status is pending_resolve and `pending` is the background retry (which does the upsert or the
+ * placeholder later); with `background` (that retry itself) the transient error is thrown instead.
+ */
+async function resolveScannedCode(code, { autocreate, background = false } = {}) {
+  const hit = catalogHit(code);
+  if (hit) return { status: 'resolved', strain: hit.strain, catalog: catalogItem(hit) };
+  const stored = repo.findBy('code', code);
+  if (stored && !isLive(stored)) return { status: 'deleted', strain: stored };
+  let resolved;
+  try { resolved = await scrapeFromCode(code, background ? {} : { deadline: Date.now() + SCAN_RESOLVE_MS }); } catch (e) {
+    if (!isTransientError(e)) return { status: 'not_found', rejected: { error: e.code, detail: String(e.message || e.code) } };
+    if (background) throw e;
+    return { status: 'pending_resolve', pending: pendingResolves.add(code, { autocreate }, e) };
+  }
+  // a COA whose name belongs to a deleted strain stays deleted
+  const saved = (rec, status) => (isLive(rec) ? { status, strain: rec } : { status: 'deleted', strain: rec });
+  if (resolved) return { ...saved(upsertStrain(normalizeStrain({ ...resolved, code })), 'resolved'), fields: resolved.fields };
+  if (autocreate) {
+    return saved(upsertStrain(normalizeStrain({ code, name: guessNameFromCode(code) || 'Unknown Strain', thc: undefined, bucket: 'hybrid', terpenes: [] })), 'created');
+  }
+  return { status: 'not_found' };
+}
 
-    const fastRotations = [0, 90];
-    const fastPre = [ (img)=> img, (img)=> img.sharpen() ];
-    const fastUp = [1, 1.5, 2];
-    const minShortFast = 900;
-
-    const microAngles = [-8, -4, 0, 4, 8];
-    const baseAngles = [0, 90, 180, 270];
-    const heavyAngles = baseAngles.flatMap(b => microAngles.map(m => b + m));
-    const heavyCrops = [1.0, 0.92, 0.85, 0.75, 0.65];
-    const anchors = [
-      { name:'center', ax:0.5, ay:0.5 },
-      { name:'tl', ax:0.0, ay:0.0 },
-      { name:'tr', ax:1.0, ay:0.0 },
-      { name:'bl', ax:0.0, ay:1.0 },
-      { name:'br', ax:1.0, ay:1.0 },
-    ];
-    const heavyPre = [
-      (img)=> img, (img)=> img.sharpen(), (img)=> img.gamma(1.2), (img)=> img.linear(1.25, 0),
-      (img)=> img.modulate({ brightness: 1.18, saturation: 1.04 }), (img)=> img.blur(0.5),
-      (img)=> img.threshold(140), (img)=> img.threshold(170), (img)=> img.threshold(200),
-    ];
-    const heavyUp = [1, 1.5, 2, 3, 4];
-    const minShortHeavy = 1300;
-
-    const tEnd = () => (Date.now() - t0) > budgetMs;
-
-    async function tryDecodeFrom(img, minShort, upscales, tag) {
-      const m2 = await img.metadata();
-      for (const scale of upscales) {
-        const shortEdge = Math.min(m2.width || 0, m2.height || 0);
-        const factor = shortEdge > 0 ? Math.max(1, Math.ceil((minShort / shortEdge) * scale)) : 1;
-        const targetW = Math.max(48, Math.round((m2.width || minShort) * factor));
-        const piped = img.clone().resize({ width: targetW }).ensureAlpha();
-        await saveAttempt(piped.clone(), `${tag}_resize${targetW}`);
-
-        const { data, info } = await piped.raw().toBuffer({ resolveWithObject: true });
-        const luminance = rgbaToLuminance(data, info.width, info.height);
-        const source = new RGBLuminanceSource(luminance, info.width, info.height);
-        const attemptsHere = [
-          new BinaryBitmap(new HybridBinarizer(source)),
-          new BinaryBitmap(new GlobalHistogramBinarizer(source)),
-        ];
-
-        for (const bitmap of attemptsHere) {
-          try {
-            const result = reader.decode(bitmap);
-            const text = String(result.getText() || '').trim();
-            if (text) return text;
-          } catch {}
-          if (tEnd()) return null;
-        }
-      }
-      return null;
+// Overlapping n×n tiles (fractions of the image) so codes too small for a full-frame pass still get found
+const scanTiles = (n, size) => Array.from({ length: n * n }, (_, i) => {
+  const step = n > 1 ? (1 - size) / (n - 1) : 0;
+  return { name: `tile${n}_${i}`, x: (i % n) * step, y: Math.floor(i / n) * step, w: size, h: size };
+});
+
+/**
+ * Decode a code from an image (fast → heavy → OCR passes), then resolve and upsert it.
+ * `mode: 'multi'` instead finds every distinct code in the frame and resolves each one; `mode: 'label'` reads the
+ * printed label itself (scanLabel).
+ * Resolves with { status, body }: the HTTP status and JSON scan-upload answers with.
+ * onProgress({ stage, attempts }) reports fast/heavy/ocr/resolve; an aborted `signal` stops it between attempts.
+ * 422 bodies carry `quality` (hints + metrics); with `precheck` a blocking hint fails the scan before decoding.
+ * With `debugSave` the body also carries `debug: { dir, located }` (attempt images + located regions).
+ */
+async function runScan(input, opts, hooks = {}) {
+  const frames = Array.isArray(input) ? input : [input];
+  if (opts.mode === 'label') return scanLabel(frames, opts, hooks);
+  const debugDir = opts.debugSave ? path.join(DATA_DIR, 'debug', `scan_${Date.now()}`) : null;
+  return frames.length > 1 ? scanBurst(frames, opts, hooks, debugDir) : scanFrame(frames[0], opts, hooks, { debugDir });
+}
+
+// One frame through the stages; `quality` may come precomputed (burst mode ranks frames by it first)
+async function scanFrame(buf, opts, hooks, { debugDir = null, quality = null } = {}) {
+  const ctx = { quality, debug: debugDir ? { dir: debugDir, located: null } : null };
+  if (ctx.debug) await ensureDir(ctx.debug.dir);
+  const res = await scanStages(buf, opts, hooks, ctx);
+  // failures say why the photo may not have worked
+  if (res.status === 422 && ctx.quality) res.body = { ...res.body, quality: publicQuality(ctx.quality) };
+  if (ctx.debug) res.body = { ...res.body, debug: { dir: path.relative(DATA_DIR, ctx.debug.dir), located: ctx.debug.located } };
+  return res;
+}
+
+// OCR's share of budget_ms (decoding gets the rest first), and the least time worth starting an OCR pass with
+const OCR_BUDGET_SHARE = 0.4;
+const OCR_MIN_MS = 1000;
+
+/**
+ * Burst mode: several frames of the same label, one result. Frames are ranked by the quality check (usable
+ * before blocked, a located code before none, then sharpest first) and decoded in that order within the one
+ * `budgetMs` (less OCR's share): the best frame gets half, the rest split what's left. If none decodes, OCR reads of
+ * the best three frames are voted on with the rest of the budget.
+ * Bodies gain `frames: { count, used, tried, ranked: [{ index, quality }] }` (indexes in upload order).
+ */
+async function scanBurst(bufs, opts, { onProgress = () => {}, signal } = {}, debugDir = null) {
+  const t0 = Date.now();
+  onProgress({ stage: 'quality', attempts: 0 });
+  const checked = await Promise.all(bufs.map((buf, index) => assessScanQuality(buf).then(
+    (quality) => ({ index, buf, quality }),
+    () => ({ index, buf, quality: null }),
+  )));
+  const rank = (f) => [f.quality?.ok === false ? 0 : 1, f.quality?.metrics.regions ? 1 : 0, f.quality?.metrics.sharpness ?? 0];
+  const ranked = checked.sort((a, b) => {
+    const ra = rank(a), rb = rank(b);
+    return (rb[0] - ra[0]) || (rb[1] - ra[1]) || (rb[2] - ra[2]);
+  });
+  const summary = ranked.map(f => ({ index: f.index, quality: f.quality && publicQuality(f.quality) }));
+  const withFrames = (res, used, tried) => ({ ...res, body: { ...res.body, frames: { count: bufs.length, used, tried, ranked: summary } } });
+
+  if (opts.mode === 'multi') {
+    const best = ranked[0];
+    return withFrames(await scanFrame(best.buf, opts, { onProgress, signal }, { debugDir, quality: best.quality }), best.index, 1);
+  }
+
+  let attempts = 0, tried = 0;
+  const deadline = t0 + opts.budgetMs;
+  const decodeUntil = opts.skipOcr ? deadline : t0 + Math.round(opts.budgetMs * (1 - OCR_BUDGET_SHARE));
+  for (const [i, f] of ranked.entries()) {
+    const left = decodeUntil - Date.now();
+    if (left < 500 || signal?.aborted) break;
+    const budgetMs = i === 0 && ranked.length > 1 ? Math.round(left / 2) : Math.round(left / (ranked.length - i));
+    let frameAttempts = 0;
+    tried++;
+    const out = await scanFrame(f.buf, { ...opts, budgetMs, skipOcr: true, precheck: false }, {
+      signal,
+      onProgress: (p) => { frameAttempts = p.attempts || 0; onProgress({ ...p, attempts: attempts + frameAttempts, frame: f.index }); },
+    }, { debugDir: debugDir && path.join(debugDir, `frame_${f.index}`), quality: f.quality });
+    attempts += frameAttempts;
+    if (out.status !== 422) return withFrames(out, f.index, tried); // decoded (resolved or not), or cancelled
+  }
+  if (signal?.aborted) return withFrames({ status: 499, body: { error: 'Cancelled', detail: 'cancelled', ms: Date.now()-t0 } }, null, tried);
+
+  if (!opts.skipOcr && deadline - Date.now() >= OCR_MIN_MS) {
+    onProgress({ stage: 'ocr', attempts });
+    const voted = await ocrVoteFrames(ranked.slice(0, 3).map(f => f.buf), deadline - Date.now(), { signal });
+    if (signal?.aborted) return withFrames({ status: 499, body: { error: 'Cancelled', detail: 'cancelled', ms: Date.now()-t0 } }, null, tried);
+    if (voted) {
+      onProgress({ stage: 'resolve', attempts });
+      const out = await scanResult(voted.code, 'ocr', { t0 });
+      return withFrames({ ...out, body: { ...out.body, votes: voted.votes } }, null, tried);
     }
+  }
+  const best = ranked[0]?.quality;
+  return withFrames({ status: 422, body: { error: 'Decode failed', detail: 'budget_exhausted', ms: Date.now()-t0, quality: best && publicQuality(best) } }, null, tried);
+}
 
-    // FAST mode first
-    for (const deg of fastRotations) {
-      let base = base0.clone().rotate(deg);
-      for (const tweak of fastPre) {
-        let img; try { img = tweak(base.clone()); } catch { continue; }
-        const got = await tryDecodeFrom(img, minShortFast, fastUp, `fast_rot${deg}`);
-        if (got) {
-          const resolved = await scrapeFromCode(got);
-          if (resolved) {
-            const norm = normalizeStrain({ ...resolved, code: got });
-            upsertStrain(norm);
-            return res.json({ code: got, status: 'resolved', mode: 'fast', ms: Date.now()-t0, strain: norm });
-          }
-          if (String(req.query.autocreate || '') === '1') {
-            const created = normalizeStrain({ code: got, name: guessNameFromCode(got) || 'Unknown Strain', thc: undefined, bucket: 'hybrid', terpenes: [] });
-            upsertStrain(created);
-            return res.json({ code: got, status: 'created', mode: 'fast', ms: Date.now()-t0, strain: created });
-          }
-          return res.status(404).json({ code: got, status: 'not_found', mode: 'fast', ms: Date.now()-t0 });
-        }
-        if (tEnd()) break;
+/* ===== Label mode: potency straight off the printed label ===== */
+const LABEL_FIELDS = ['strain', 'type', 'thc', 'cbd', 'lot', 'packageDate'];
+const LABEL_VARIANTS = [[0, 'none'], [0, 'ocrBright'], [0, 'thr150'], [90, 'none'], [270, 'none'], [180, 'none']];
+
+// EXIF-upright, grayscale, long side ~2000 px: small print needs the pixels, full-page OCR time grows with them
+async function labelBase(buf) {
+  const img = sharp(buf).rotate().grayscale().normalize();
+  const meta = await img.metadata();
+  const long = Math.max(meta.width || 0, meta.height || 0);
+  if (long < 1600 || long > 2400) img.resize({ width: 2000, height: 2000, fit: 'inside' });
+  return img.png().toBuffer();
+}
+
+/**
+ * Best reading of each label field across every OCR read (frames × variants). A field's confidence is the
+ * parser's times the engine's mean word confidence for that read; provenance says which read it came from.
+ * The read with the most field confidence is the base for everything else (cannabinoid rows, terpenes).
+ */
+function mergeLabelReads(reads) {
+  let base = null, baseScore = -1;
+  const best = {};
+  for (const r of reads) {
+    const fields = extractLabel(r.text);
+    const k = Math.max(0, Math.min(100, r.confidence ?? 50)) / 100;
+    let score = 0;
+    for (const key of LABEL_FIELDS) {
+      const f = fields[key];
+      const confidence = +(f.confidence * k).toFixed(2);
+      score += confidence;
+      if (f.value != null && confidence > (best[key]?.confidence ?? 0)) {
+        best[key] = { value: f.value, confidence, provenance: { ...f.provenance, read: r.tag, ocrConfidence: r.confidence } };
       }
-      if (tEnd()) break;
     }
+    if (score > baseScore) { base = { fields, text: r.text }; baseScore = score; }
+  }
+  if (!base) return null;
+  const fields = Object.fromEntries(LABEL_FIELDS.map(key => [key, best[key] || { value: null, confidence: 0, provenance: null }]));
+  return { fields: { ...base.fields, ...fields }, text: base.text };
+}
+
+/**
+ * Label mode: full-text OCR of the label photo(s) (up to three frames, a few rotations and filters each) through
+ * the COA field parsers → a draft strain, not saved unless `autocreate`. The code is the Trulieve report URL when
+ * the batch number is one, else a hash of the first frame (like uploaded COAs), so a later QR scan of the same
+ * batch lands on the same record.
+ * → 200 { status: 'draft' | 'created', draft, fields, text, code, strain? } | 422 no_label_fields
+ */
+async function scanLabel(bufs, { budgetMs, autocreate }, { onProgress = () => {}, signal } = {}) {
+  const t0 = Date.now();
+  const frames = bufs.slice(0, 3);
+  onProgress({ stage: 'label', attempts: 0 });
+  const images = await Promise.all(frames.map(async (buf) => toShared(await labelBase(buf))));
+  // variant-major, so every frame gets its plain read before any frame gets a second one
+  const tasks = LABEL_VARIANTS.flatMap(([deg, filter]) => images.map((image, frame) => ({
+    type: 'ocr', image, deg, filter, full: true, tag: { frame, deg, filter },
+  })));
+  let attempts = 0;
+  const reads = await everyHit(tasks, newScanControl(), {
+    deadline: t0 + budgetMs, signal,
+    onProgress: () => onProgress({ stage: 'label', attempts: ++attempts }),
+  });
+  if (signal?.aborted) return { status: 499, body: { error: 'Cancelled', detail: 'cancelled', ms: Date.now()-t0 } };
+
+  const merged = mergeLabelReads(reads.filter(r => r.text));
+  const { fields, text } = merged || {};
+  if (!fields || !['strain', 'thc', 'cbd', 'lot'].some(k => fields[k].value != null)) {
+    return { status: 422, body: { error: 'Label not readable', detail: 'no_label_fields', mode: 'label', reads: reads.length, ms: Date.now()-t0 } };
+  }
+  const code = (fields.lot.value && findCodeInText(fields.lot.value))
+    || `label:sha256:${crypto.createHash('sha256').update(frames[0]).digest('hex')}`;
+  const input = { ...strainFromFields(fields), packageDate: fields.packageDate.value || undefined, provider: 'label', code };
+  const body = {
+    status: autocreate ? 'created' : 'draft', mode: 'label', code,
+    draft: normalizeStrain(input),
+    fields: Object.fromEntries(LABEL_FIELDS.map(key => [key, fields[key]])),
+    text, reads: reads.length, ms: Date.now()-t0,
+  };
+  if (autocreate) {
+    onProgress({ stage: 'resolve', attempts });
+    body.strain = upsertStrain(normalizeStrain(input));
+    if (!isLive(body.strain)) body.status = 'deleted';
+  }
+  return { status: 200, body };
+}
+
+/** Decoded code → resolve + upsert (or autocreate), answered the way each pass always has */
+async function scanResult(code, passMode, { autocreate, t0 }) {
+  const r = await resolveScannedCode(code, { autocreate: autocreate && passMode !== 'ocr' });
+  const ms = Date.now() - t0;
+  if (r.status === 'not_found') {
+    // a retail barcode can be linked to a strain from here on
+    return { status: 404, body: { code, status: passMode === 'ocr' ? 'not_found_via_ocr' : 'not_found', mode: passMode, ms, catalogLink: catalogLinkFor(code), rejected: r.rejected } };
+  }
+  // decoded fine, the vendor is down: the strain shows up once the background retry gets through
+  if (r.status === 'pending_resolve') return { status: 202, body: { code, status: r.status, mode: passMode, ms, pending: r.pending } };
+  // the code belongs to a strain someone deleted (a bogus placeholder, say): not brought back by scanning
+  if (r.status === 'deleted') return { status: 410, body: { code, status: r.status, mode: passMode, ms, ...deletedStrain(r.strain) } };
+  const status = r.status === 'resolved' && passMode === 'ocr' ? 'resolved_via_ocr' : r.status;
+  return { status: 200, body: { code, status, mode: passMode, ms, strain: r.strain, fields: r.fields, catalog: r.catalog } };
+}
+
+const scaleRegion = (r, k) => ({
+  ...r,
+  box: { x: r.box.x * k, y: r.box.y * k, width: r.box.width * k, height: r.box.height * k },
+  ...(r.quad ? { quad: r.quad.map(p => ({ x: p.x * k, y: p.y * k })), module: r.module * k } : {}),
+});
+
+// Outline located regions on the scanned frame (debug_save only; `located` is in `base` pixels)
+async function saveLocatedOverlay(file, base, located) {
+  const meta = await base.metadata();
+  const shapes = located.map((r, i) => {
+    const color = r.kind === 'finder' ? '#e0115f' : '#1e90ff';
+    const shape = r.quad
+      ? `<polygon points="${r.quad.map(p => `${p.x},${p.y}`).join(' ')}" fill="none" stroke="${color}" stroke-width="3"/>`
+      : `<rect x="${r.box.x}" y="${r.box.y}" width="${r.box.width}" height="${r.box.height}" fill="none" stroke="${color}" stroke-width="3"/>`;
+    return `${shape}<text x="${r.box.x + 4}" y="${r.box.y + 18}" font-size="16" fill="${color}">${i} ${r.kind}</text>`;
+  }).join('');
+  const svg = `<svg width="${meta.width}" height="${meta.height}" xmlns="http://www.w3.org/2000/svg">${shapes}</svg>`;
+  await base.clone().toColourspace('srgb').composite([{ input: Buffer.from(svg) }]).png().toFile(file);
+}
+
+async function scanStages(buf, { budgetMs, mode, skipOcr, autocreate, precheck }, { onProgress = () => {}, signal } = {}, ctx = {}) {
+  const t0 = Date.now();
+  const deadline = t0 + budgetMs;
+  // decoding stops early enough to leave OCR its share of the one budget
+  const decodeUntil = skipOcr ? deadline : t0 + Math.round(budgetMs * (1 - OCR_BUDGET_SHARE));
+  const debug = ctx.debug;
+  const debugDir = debug?.dir || null;
+  const ctl = newScanControl(); // one attempt counter across fast + heavy
+  let stage = null, quality = null;
+  const progress = (s) => {
+    if (s) stage = s;
+    onProgress({ stage, attempts: Atomics.load(ctl, 1), quality: quality && publicQuality(quality) });
+  };
+
+  progress('quality');
+  quality = ctx.quality ??= await assessScanQuality(buf).catch((e) => { console.warn('[scan] quality check failed:', e?.message || e); return null; });
+  if (precheck && quality && !quality.ok) {
+    return { status: 422, body: { error: 'Image quality too low', detail: 'poor_quality', ms: Date.now()-t0 } };
+  }
+
+  // Pre-resize & grayscale, then share the pixels with the workers
+  let base0 = sharp(buf).grayscale().normalize();
+  const meta0 = await base0.metadata();
+  const maxDim = 1800;
+  const needResize = Math.max(meta0.width || 0, meta0.height || 0) > maxDim;
+  if (needResize) {
+    base0 = base0.resize({ width: meta0.width >= meta0.height ? maxDim : undefined, height: meta0.height > meta0.width ? maxDim : undefined });
+  }
+  const raw = await base0.clone().raw().toBuffer({ resolveWithObject: true });
+  const image = { data: toShared(raw.data), width: raw.info.width, height: raw.info.height, channels: raw.info.channels };
+
+  const full = { name: 'full' };
+  const fastTasks = [0, 90].flatMap(deg => ['none', 'sharpen'].map(f => ({
+    type: 'decode', tag: 'fast', image, deg, regions: [full], filters: [f], minShort: 900, upscales: [1, 1.5, 2], debugDir,
+  })));
+
+  const microAngles = [-8, -4, 0, 4, 8];
+  const baseAngles = [0, 90, 180, 270];
+  const heavyAngles = baseAngles.flatMap(b => microAngles.map(m => b + m));
+  const heavyFilters = ['none', 'sharpen', 'gamma', 'contrast', 'brighten', 'soften', 'thr140', 'thr170', 'thr200'];
+  // Located regions, one task each: QR quads perspective-corrected, edge blocks at a few skews
+  const locatedTasks = (located) => located.map((r, i) => ({
+    type: 'decode', tag: 'heavy', image, deg: 0,
+    filters: heavyFilters, debugDir,
+    ...(r.quad
+      ? { regions: [{ name: `finder${i}`, quad: r.quad }], minShort: 300, upscales: [1, 2] }
+      : { regions: [0, -8, 8].map(deg => ({ name: `edges${i}${deg ? `_skew${deg}` : ''}`, box: r.box, deg })), minShort: 600, upscales: [1, 1.5] }),
+  }));
+  // Whole-frame rotations, only if every located region missed
+  const frameTasks = heavyAngles.map(deg => ({
+    type: 'decode', tag: 'heavy', image, deg, regions: [full], filters: heavyFilters, minShort: 1300, upscales: [1, 1.5, 2, 3, 4], debugDir,
+  }));
+
+  const cancelled = () => ({ status: 499, body: { error: 'Cancelled', detail: 'cancelled', stage, attempts: Atomics.load(ctl, 1), ms: Date.now()-t0 } });
+  // each stage gets its own stop flag; every worker progress message is one more attempt
+  const decodeStage = (tasks, until = deadline) => firstHit(tasks, newScanControl(), {
+    deadline: until, signal,
+    onProgress: () => { Atomics.add(ctl, 1, 1); progress(); },
+  });
+
+  async function finish(got, passMode) {
+    progress('resolve');
+    return scanResult(got, passMode, { autocreate, t0 });
+  }
+
+  // MULTI mode: full frame plus overlapping tiles, every code kept (first sighting's box wins)
+  if (mode === 'multi') {
+    progress('multi');
+    const tiles = [{ name: 'full', x: 0, y: 0, w: 1, h: 1 }, ...scanTiles(2, 0.6), ...scanTiles(3, 0.4)];
+    const hits = await everyHit(tiles.map(r => ({
+      type: 'decodeAll', image, regions: [r], filters: ['none', 'sharpen', 'contrast'], minShort: 900, maxPerRegion: 8,
+    })), newScanControl(), { deadline, signal, onProgress: () => { Atomics.add(ctl, 1, 1); progress(); } });
+    if (signal?.aborted) return cancelled();
+    const byText = new Map();
+    for (const h of hits) if (!byText.has(h.text)) byText.set(h.text, h);
+    if (!byText.size) return { status: 422, body: { error: 'Decode failed', detail: 'no_codes_found', mode: 'multi', ms: Date.now()-t0 } };
+
+    progress('resolve');
+    // boxes back in uploaded-image pixels, codes in reading order
+    const sx = (meta0.width || image.width) / image.width, sy = (meta0.height || image.height) / image.height;
+    const found = [...byText.values()].map(h => ({
+      code: h.text, format: h.format,
+      box: { x: Math.round(h.box.x * sx), y: Math.round(h.box.y * sy), width: Math.round(h.box.width * sx), height: Math.round(h.box.height * sy) },
+    })).sort((a, b) => (a.box.y - b.box.y) || (a.box.x - b.box.x));
+    const codes = await Promise.all(found.map(async (c) => {
+      const r = await resolveScannedCode(c.code, { autocreate });
+      return { ...c, status: r.status, strain: r.strain, catalog: r.catalog, catalogLink: r.status === 'not_found' ? catalogLinkFor(c.code) : undefined, rejected: r.rejected, pending: r.pending };
+    }));
+    return { status: 200, body: { status: 'multi', mode: 'multi', count: codes.length, codes, ms: Date.now()-t0 } };
+  }
+
+  // FAST mode first, unless the quality check says the code is too small for it
+  if (mode === 'fast' || quality?.strategy !== 'heavy') {
+    progress('fast');
+    // capped so a large frame that won't decode quickly leaves time for localization
+    const fast = await decodeStage(fastTasks, mode === 'fast' ? deadline : t0 + Math.round(budgetMs * 0.35));
+    if (fast) return finish(fast.text, 'fast');
+    if (signal?.aborted) return cancelled();
     if (mode === 'fast') {
-      return res.status(422).json({ error: 'Decode failed', detail: 'fast_path_exhausted', ms: Date.now()-t0 });
+      return { status: 422, body: { error: 'Decode failed', detail: 'fast_path_exhausted', ms: Date.now()-t0 } };
     }
+  }
 
-    // HEAVY fallback
-    for (const deg of heavyAngles) {
-      let base = base0.clone().rotate(deg);
-      const meta = await base.metadata();
-      const W = meta.width || 0, H = meta.height || 0;
-      if (!W || !H) continue;
-
-      for (const cropFactor of heavyCrops) {
-        for (const a of anchors) {
-          let work = base;
-          if (cropFactor < 1.0) {
-            const s0 = Math.min(W, H) * cropFactor;
-            const s  = Math.max(2, Math.floor(s0));
-            const left = Math.max(0, Math.min(W - s, Math.round((W - s) * a.ax)));
-            const top  = Math.max(0, Math.min(H - s, Math.round((H - s) * a.ay)));
-            try { work = base.extract({ left, top, width: s, height: s }); } catch { work = base; }
-          }
-
-          for (const tweak of heavyPre) {
-            let img; try { img = tweak(work.clone()); } catch { continue; }
-            const tag = `heavy_rot${deg}_crop${Math.round(cropFactor*100)}_${a.name}_${tweak.name||'fx'}`;
-            const got = await tryDecodeFrom(img, minShortHeavy, heavyUp, tag);
-            if (got) {
-              const resolved = await scrapeFromCode(got);
-              if (resolved) {
-                const norm = normalizeStrain({ ...resolved, code: got });
-                upsertStrain(norm);
-                return res.json({ code: got, status: 'resolved', mode: 'heavy', ms: Date.now()-t0, strain: norm });
-              }
-              if (String(req.query.autocreate || '') === '1') {
-                const created = normalizeStrain({ code: got, name: guessNameFromCode(got) || 'Unknown Strain', thc: undefined, bucket: 'hybrid', terpenes: [] });
-                upsertStrain(created);
-                return res.json({ code: got, status: 'created', mode: 'heavy', ms: Date.now()-t0, strain: created });
-              }
-              return res.status(404).json({ code: got, status: 'not_found', mode: 'heavy', ms: Date.now()-t0 });
-            }
-            if (tEnd()) break;
-          }
-          if (tEnd()) break;
-        }
-        if (tEnd()) break;
-      }
-      if (tEnd()) break;
-    }
+  // HEAVY fallback: find where codes are (the quality check already did), decode those regions, then the whole frame
+  progress('heavy');
+  const located = quality
+    ? quality.located.map(r => scaleRegion(r, image.width / quality.size.width))
+    : await scanPool.run({ type: 'locate', image, maxRegions: 8 }, { signal, timeoutMs: Math.max(1000, deadline - Date.now()) }).catch((e) => {
+      if (e?.name !== 'AbortError') console.warn('[scan] locate failed:', e?.message || e);
+      return [];
+    });
+  if (debug) {
+    const sx = (meta0.width || image.width) / image.width, sy = (meta0.height || image.height) / image.height;
+    const r1 = (v) => Math.round(v * 10) / 10;
+    debug.located = located.map(r => ({
+      kind: r.kind, score: r1(r.score), bars: r.bars || undefined,
+      box: { x: Math.round(r.box.x * sx), y: Math.round(r.box.y * sy), width: Math.round(r.box.width * sx), height: Math.round(r.box.height * sy) },
+      quad: r.quad?.map(p => ({ x: Math.round(p.x * sx), y: Math.round(p.y * sy) })),
+    }));
+    try { await saveLocatedOverlay(path.join(debugDir, 'located.png'), base0, located); } catch {}
+  }
+  const heavy = (located.length && await decodeStage(locatedTasks(located), decodeUntil))
+    || (!signal?.aborted && await decodeStage(frameTasks, decodeUntil));
+  if (heavy) return finish(heavy.text, 'heavy');
+  if (signal?.aborted) return cancelled();
+
+  // OCR fallback: whatever is left of the budget (at least its reserved share), skipped when that is too little
+  if (!skipOcr && deadline - Date.now() >= OCR_MIN_MS) {
+    progress('ocr');
+    const ocrUrl = await ocrExtractUrlOrBatch(buf, deadline - Date.now(), { signal });
+    if (signal?.aborted) return cancelled();
+    if (ocrUrl) return finish(ocrUrl, 'ocr');
+  }
 
-    // OCR fallback
-    if (!skipOcr) {
-      const ocrUrl = await ocrExtractUrlOrBatch(await base0.clone().toBuffer(), Math.max(4000, Math.floor(budgetMs * 0.6)));
-      if (ocrUrl) {
-        const r = await scrapeFromCode(ocrUrl);
-        if (r) {
-          const norm = normalizeStrain({ ...r, code: ocrUrl });
-          upsertStrain(norm);
-          return res.json({ code: ocrUrl, status: 'resolved_via_ocr', mode: 'ocr', ms: Date.now()-t0, strain: norm });
-        } else {
-          return res.status(404).json({ code: ocrUrl, status: 'not_found_via_ocr', mode: 'ocr', ms: Date.now()-t0 });
-        }
-      }
-    }
+  return { status: 422, body: { error: 'Decode failed', detail: 'budget_exhausted', ms: Date.now()-t0 } };
+}
+
+/* ================= API: photo scan (QR/COA code) ================= */
+// Up to SCAN_BURST_MAX `image` parts; more than one is burst mode (frames of the same label)
+const SCAN_BURST_MAX = Math.max(1, Number(process.env.SCAN_BURST_MAX) || 8);
+const scanFrames = (req, res, next) => upload.array('image', SCAN_BURST_MAX)(req, res, (err) => {
+  if (!err) return next();
+  const detail = err.code === 'LIMIT_UNEXPECTED_FILE' ? `at most ${SCAN_BURST_MAX} "image" parts` : err.message;
+  res.status(400).json({ error: 'Bad upload', detail });
+});
+const frameBuffers = (req) => (req.files || []).map(f => f.buffer);
+
+app.post('/api/strains/scan-upload', scanFrames, async (req, res) => {
+  if (!req.files?.length) return res.status(400).json({ error: 'No image provided' });
+  if (String(req.query.async || '') === '1') return submitScanJob(req, res);
 
-    return res.status(422).json({ error: 'Decode failed', detail: 'budget_exhausted', ms: Date.now()-t0 });
+  // stop burning CPU once the client has given up
+  const ac = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) ac.abort(); });
+  try {
+    const out = await runScan(frameBuffers(req), scanOptions(req.query), { signal: ac.signal });
+    if (!ac.signal.aborted) return res.status(out.status).json(out.body);
   } catch (e) {
     return res.status(422).json({ error: 'Decode failed', detail: String(e?.message || e) });
   }
 });
 
+// Quality pre-check only: answers in well under a second, before the client commits to a scan
+app.post('/api/strains/scan-quality', upload.single('image'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No image provided' });
+  try {
+    res.json({ quality: publicQuality(await assessScanQuality(req.file.buffer)) });
+  } catch (e) {
+    res.status(422).json({ error: 'Quality check failed', detail: String(e?.message || e) });
+  }
+});
+
+/* ================= API: scan jobs (async scan-upload) ================= */
+const scanJobs = createJobQueue({
+  run: ({ frames, opts }, hooks) => runScan(frames, opts, hooks),
+  concurrency: Math.max(1, Number(process.env.SCAN_JOB_CONCURRENCY) || 1),
+  maxQueued: Math.max(0, Number(process.env.SCAN_JOB_QUEUE_MAX ?? 20)),
+  ttlMs: (Number(process.env.SCAN_JOB_TTL_MIN) || 10) * 60 * 1000,
+});
+
+function submitScanJob(req, res) {
+  const job = scanJobs.submit({ frames: frameBuffers(req), opts: scanOptions(req.query) });
+  if (!job) {
+    res.set('Retry-After', '5');
+    return res.status(503).json({ error: 'Scan queue full', detail: 'scan_queue_full', ...scanJobs.stats() });
+  }
+  const url = `/api/scan-jobs/${job.id}`;
+  res.set('Location', url);
+  return res.status(202).json({ ...job, statusUrl: url, eventsUrl: `${url}/events` });
+}
+
+// Same options as scan-upload (budget_ms, mode, skip_ocr, autocreate, debug_save); always async
+app.post('/api/scan-jobs', scanFrames, (req, res) => {
+  if (!req.files?.length) return res.status(400).json({ error: 'No image provided' });
+  return submitScanJob(req, res);
+});
+
+app.get('/api/scan-jobs/:id', (req, res) => {
+  const job = scanJobs.get(String(req.params.id));
+  if (!job) return res.status(404).json({ error: 'not_found' });
+  res.json(job);
+});
+
+// Server-Sent Events: `progress` on every stage change / attempts tick, then one `done` event and close
+app.get('/api/scan-jobs/:id/events', (req, res) => {
+  const job = scanJobs.get(String(req.params.id));
+  if (!job) return res.status(404).json({ error: 'not_found' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  const send = (v) => {
+    res.write(`event: ${isTerminal(v.status) ? 'done' : 'progress'}\ndata: ${JSON.stringify(v)}\n\n`);
+    if (isTerminal(v.status)) { cleanup(); res.end(); }
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = scanJobs.subscribe(job.id, send);
+  function cleanup() { clearInterval(heartbeat); unsubscribe(); }
+  res.on('close', cleanup);
+  send(job);
+});
+
+app.delete('/api/scan-jobs/:id', (req, res) => {
+  const job = scanJobs.cancel(String(req.params.id));
+  if (!job) return res.status(404).json({ error: 'not_found' });
+  res.json(job);
+});
+
+/* ================= Vendor fetch status ================= */
+// Circuit per vendor host, and the scans waiting on one
+app.get('/api/fetch-status', (req, res) => {
+  res.json({ hosts: hostCircuits.status(), circuit: hostCircuits.config, pendingResolves: pendingResolves.counts() });
+});
+
+app.get('/api/pending-resolves', (req, res) => {
+  const status = String(req.query.status || '').trim() || undefined;
+  const items = pendingResolves.list({ status });
+  res.json({ count: items.length, items });
+});
+
+app.get('/api/pending-resolves/:id', (req, res) => {
+  const entry = pendingResolves.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'not_found' });
+  res.json(entry);
+});
+
 /* ================= Debug endpoints ================= */
 app.get('/api/debug/echo', (req, res) => {
   const raw = String(req.query.code || '');
@@ -797,6 +2178,7 @@ app.get('/api/debug/fetch', async (req, res) => {
     } catch {}
     res.json({ ok, status, statusText, contentType: ct, bodyPreviewBase64: bodyPreview });
   } catch (e) {
+    if (sendFetchFailure(res, e)) return;
     res.status(500).json({ error: 'fetch_failed', detail: String(e?.message || e) });
   }
 });
@@ -805,16 +2187,12 @@ app.get('/api/debug/terps', async (req, res) => {
   const rawUrl = String(req.query.url || '');
   if (!rawUrl) return res.status(400).json({ error: 'Missing url' });
   try {
-    const r = await fetchPdfWithHeaders(rawUrl);
-    if (!r.ok) return res.status(502).json({ ok: false, status: r.status, statusText: r.statusText });
-    const buf = Buffer.from(await r.arrayBuffer());
-    const pdfParse = await getPdfParse();
-    const { text: pdfText } = await pdfParse(buf);
-    const raw = (pdfText || '').replace(/\r/g, '');
+    let doc;
+    try { doc = await fetchCoaDocument(rawUrl); } catch (e) { return sendFetchFailure(res, e) || res.status(502).json({ ok: false, detail: String(e?.message || e) }); }
+    const raw = (await coaText(doc)).replace(/\r/g, '');
     const lines = raw.split('\n').map(l => l.trim()).filter(Boolean);
-    const defaultUnit = detectColumnUnit(lines);
-    const terps = extractTerpenesSmart(raw, lines);
-    res.json({ ok: true, defaultUnit, terps, preview: lines.slice(0, 40) });
+    const fields = extractCoa(raw, { sourceUrl: rawUrl });
+    res.json({ ok: true, defaultUnit: fields.defaultUnit, terps: topTerpenes(fields, 3), terpenes: fields.terpenes, preview: lines.slice(0, 40) });
   } catch (e) {
     res.status(500).json({ error: 'terp_debug_failed', detail: String(e?.message || e) });
   }
@@ -826,17 +2204,8 @@ app.post('/api/debug/ocr', debugUpload.single('image'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No image provided' });
     const urlOrBatch = await ocrExtractUrlOrBatch(req.file.buffer, 12000);
-
-    let base = sharp(req.file.buffer).grayscale().normalize().sharpen();
-    const meta = await base.metadata();
-    if ((meta.width || 0) < 1200) base = base.resize({ width: 1200 });
-    const pre = await base.toBuffer();
-
-    const { data } = await Tesseract.recognize(pre, 'eng', {
-      tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_:/.-',
-      preserve_interword_spaces: '1',
-    });
-    const text = (data?.text || '').replace(/\r/g, ' ').replace(/[ \t]+/g, ' ').trim();
+    const r = await scanPool.run({ type: 'ocr', image: toShared(await ocrBase(req.file.buffer)), deg: 0, filter: 'none', deadline: Date.now() + 20000 }, { timeoutMs: 25000 });
+    const text = r?.text || '';
 
     res.json({ ok: true, urlOrBatch, textPreview: text.slice(0, 2000) });
   } catch (e) {
@@ -858,14 +2227,54 @@ function getLAN() {
   return 'localhost';
 }
 
+// Write out debounced saves before exiting (Ctrl-C, container stop)
+function handleShutdown(server) {
+  let stopping = false;
+  for (const sig of ['SIGTERM', 'SIGINT']) {
+    process.on(sig, async () => {
+      if (stopping) return;
+      stopping = true;
+      console.log(`[db] ${sig}: flushing ${repo.kind} store…`);
+      server.close();
+      try {
+        await repo.flush();
+        process.exit(0);
+      } catch (e) {
+        console.error('[db] flush failed, latest changes may be lost:', e?.message || e);
+        process.exit(1);
+      }
+    });
+  }
+}
+
 (async () => {
   await ensureDataDir();
-  await loadDB();
-  app.listen(PORT, HOST, () => {
+  try {
+    await repo.init();
+  } catch (e) {
+    // a corrupt store must stop the server, not get overwritten by an empty one
+    console.error(`[db] cannot open ${repo.kind} store: ${e?.message || e}`);
+    process.exit(1);
+  }
+  // `node server.js reparse [--apply] [--offline] [--id=a,b]`: one pass over the store, then exit
+  if (process.argv[2] === 'reparse') {
+    const args = process.argv.slice(3);
+    const ids = args.filter(a => a.startsWith('--id=')).flatMap(a => a.slice(5).split(',')).filter(Boolean);
+    try {
+      printReparse(await reparseAll({ apply: args.includes('--apply'), offline: args.includes('--offline'), ids }));
+      await repo.flush();
+      process.exit(0);
+    } catch (e) {
+      console.error('[reparse] failed:', e?.message || e);
+      process.exit(1);
+    }
+  }
+  const server = app.listen(PORT, HOST, () => {
     const lan = getLAN();
     console.log(`Buzz backend listening on http://${HOST}:${PORT}`);
     console.log(`LAN URL (use on your phone): http://${lan}:${PORT}`);
   });
+  handleShutdown(server);
 })();
 
 export default app;
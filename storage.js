@@ -0,0 +1,350 @@
+// Strain storage — one repository interface, two embedded backends (ESM)
+//
+//   const repo = createRepository('json' | 'sqlite', { dataDir, dataFile, sqliteFile, indexKeys });
+//   await repo.init();
+//
+// Repository (synchronous reads/writes; persistence to disk happens in the background):
+//   all()                 → records, newest first
+//   count()
+//   findBy(kind, key)     → record | null   kind: 'id' | 'code' | 'name'
+//   put(rec)              → rec             insert, or replace the record with the same id (keeps its position)
+//   remove(id)            → boolean
+//   flush()               → Promise         write pending changes now (rejects if they can't be saved)
+//
+// Saves are debounced and serialized, written to a temp file and renamed into place, and the
+// previous file is rotated into <file>.bak.1..N. `persistence`: { debounceMs, backups, backupIntervalMs }.
+//
+// `indexKeys(rec)` → { ids: [], codes: [], names: [] } says what each record is findable by
+// (its id plus merged ids, every COA code, normalized name + aliases). The caller owns that
+// policy; the repository just keeps the lookups indexed.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const KINDS = ['id', 'code', 'name'];
+const keyLists = (indexKeys, rec) => {
+  const k = indexKeys(rec) || {};
+  return { id: k.ids || [], code: k.codes || [], name: k.names || [] };
+};
+
+/** null when the file doesn't exist; throws when it exists but isn't a JSON array (never "start fresh" over it) */
+async function readJsonArray(file) {
+  let raw;
+  try { raw = await fs.readFile(file, 'utf8'); } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+  let arr;
+  try { arr = JSON.parse(raw); } catch (e) {
+    throw new Error(`${file} is corrupt (${raw.trim() ? e.message : 'empty file'}). Restore it from ${file}.bak.1 (or an older .bak.N) or move it aside to start empty.`);
+  }
+  if (!Array.isArray(arr)) throw new Error(`${file} is corrupt (expected a JSON array of strains). Restore it from ${file}.bak.1 or move it aside.`);
+  return arr;
+}
+
+/* ===== Persistence: atomic writes, rotating backups, debounced + serialized saves ===== */
+export async function writeFileAtomic(file, data) {
+  const tmp = `${file}.tmp-${process.pid}`;
+  const fh = await fs.open(tmp, 'w');
+  try {
+    await fh.writeFile(data);
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  await fs.rename(tmp, file); // readers see the old file or the new one, never half of one
+}
+
+const ignoreMissing = (e) => { if (e?.code !== 'ENOENT') throw e; };
+
+/** file → file.bak.1 → … → file.bak.N, at most once per interval */
+function createBackups(file, { backups = 5, backupIntervalMs = 10 * 60 * 1000 } = {}) {
+  let last = 0;
+  return async function rotate() {
+    if (backups <= 0 || Date.now() - last < backupIntervalMs) return;
+    try { await fs.access(file); } catch { return; } // nothing saved yet
+    for (let i = backups - 1; i >= 1; i--) await fs.rename(`${file}.bak.${i}`, `${file}.bak.${i + 1}`).catch(ignoreMissing);
+    await fs.copyFile(file, `${file}.bak.1`);
+    last = Date.now();
+  };
+}
+
+/**
+ * schedule() marks the store dirty and saves after `debounceMs`; bursts of writes become one save,
+ * and saves never overlap. flush() saves now and rejects if the data couldn't be written.
+ */
+function createSaver(label, write, { debounceMs = 250 } = {}) {
+  let timer = null, running = null, dirty = false, lastError = null;
+
+  async function drain() {
+    while (dirty) {
+      dirty = false;
+      try {
+        await write();
+        lastError = null;
+      } catch (e) {
+        dirty = true; // keep it for the next schedule()/flush()
+        lastError = e;
+        console.warn(`[db] ${label} save failed:`, e?.message || e);
+        return;
+      }
+    }
+  }
+  function start() {
+    clearTimeout(timer);
+    timer = null;
+    if (!running) {
+      running = drain().finally(() => {
+        running = null;
+        if (dirty && !lastError && !timer) timer = setTimeout(start, debounceMs);
+      });
+    }
+    return running;
+  }
+
+  return {
+    schedule() {
+      dirty = true;
+      if (!timer) timer = setTimeout(start, debounceMs);
+    },
+    async flush() {
+      await running;
+      if (dirty) await start();
+      if (dirty) throw lastError || new Error(`${label} save failed`);
+    },
+  };
+}
+
+/* ===== JSON file adapter (the original strains.json) ===== */
+function createJsonRepository({ dataDir, dataFile, indexKeys, migrate = (x) => x, persistence }) {
+  // id → { rec, seq, keys }: Map order is row order oldest first (a replace keeps its slot), seq says which is newer
+  let slots = new Map();
+  let seq = 0;
+  let index = null; // kind → Map(key → Set(id)), kept up to date by put/remove
+
+  function hook(id, keys) {
+    for (const kind of KINDS) for (const key of keys[kind]) {
+      const ids = index[kind].get(key);
+      if (ids) ids.add(id);
+      else index[kind].set(key, new Set([id]));
+    }
+  }
+  function unhook(id, keys) {
+    for (const kind of KINDS) for (const key of keys[kind]) {
+      const ids = index[kind].get(key);
+      if (ids?.delete(id) && !ids.size) index[kind].delete(key);
+    }
+  }
+  function place(rec) {
+    const prev = slots.get(rec.id);
+    if (prev) unhook(rec.id, prev.keys);
+    const keys = keyLists(indexKeys, rec);
+    slots.set(rec.id, { rec, seq: prev ? prev.seq : ++seq, keys });
+    hook(rec.id, keys);
+  }
+  function reset(list) {
+    slots = new Map();
+    seq = 0;
+    index = Object.fromEntries(KINDS.map(k => [k, new Map()]));
+    for (let i = list.length - 1; i >= 0; i--) place(list[i]);
+  }
+  const rowsNewestFirst = () => Array.from(slots.values(), s => s.rec).reverse();
+  reset([]);
+
+  const backup = createBackups(dataFile, persistence);
+  const saver = createSaver('json', async () => {
+    await fs.mkdir(dataDir, { recursive: true });
+    await backup();
+    await writeFileAtomic(dataFile, JSON.stringify(rowsNewestFirst(), null, 2));
+  }, persistence);
+  const persist = () => saver.schedule();
+
+  return {
+    kind: 'json',
+    location: dataFile,
+    async init() {
+      const arr = await readJsonArray(dataFile);
+      if (arr) {
+        reset(arr.map(migrate));
+        console.log(`[db] loaded ${slots.size} strains from ${dataFile}`);
+      } else {
+        console.log('[db] no existing DB, starting fresh');
+      }
+    },
+    all: rowsNewestFirst,
+    count: () => slots.size,
+    findBy(kind, key) {
+      const ids = index[kind]?.get(key);
+      if (!ids) return null;
+      // the newest record wins a shared key, like the old findIndex scan
+      let best = null;
+      for (const id of ids) { const s = slots.get(id); if (!best || s.seq > best.seq) best = s; }
+      return best.rec;
+    },
+    put(rec) {
+      place(rec);
+      persist();
+      return rec;
+    },
+    remove(id) {
+      const prev = slots.get(id);
+      if (!prev) return false;
+      unhook(id, prev.keys);
+      slots.delete(id);
+      persist();
+      return true;
+    },
+    flush: () => saver.flush(),
+  };
+}
+
+/* ===== SQLite adapter (sql.js: SQLite compiled to WASM, no native build) ===== */
+// Append-only: a deployed DB has run every earlier entry; add new versions at the end
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'strains + lookup keys',
+    sql: `
+      CREATE TABLE strains (
+        id         TEXT PRIMARY KEY,
+        name       TEXT,
+        code       TEXT,
+        data       TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_strains_name ON strains(name COLLATE NOCASE);
+      CREATE INDEX idx_strains_code ON strains(code);
+      CREATE TABLE strain_keys (
+        kind      TEXT NOT NULL,
+        key       TEXT NOT NULL,
+        strain_id TEXT NOT NULL REFERENCES strains(id) ON DELETE CASCADE,
+        PRIMARY KEY (kind, key, strain_id)
+      );
+      CREATE INDEX idx_strain_keys_strain ON strain_keys(strain_id);
+      CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+    `,
+  },
+];
+
+function createSqliteRepository({ dataDir, dataFile, sqliteFile, indexKeys, migrate = (x) => x, persistence }) {
+  let db = null;
+
+  function one(sql, params = []) {
+    const st = db.prepare(sql);
+    try { st.bind(params); return st.step() ? st.getAsObject() : null; } finally { st.free(); }
+  }
+  function many(sql, params = []) {
+    const st = db.prepare(sql);
+    const out = [];
+    try { st.bind(params); while (st.step()) out.push(st.getAsObject()); } finally { st.free(); }
+    return out;
+  }
+  function tx(fn) {
+    db.run('BEGIN');
+    try { const r = fn(); db.run('COMMIT'); return r; } catch (e) { db.run('ROLLBACK'); throw e; }
+  }
+
+  function runMigrations() {
+    db.run('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT, applied_at TEXT NOT NULL)');
+    const current = one('SELECT MAX(version) AS v FROM schema_migrations')?.v || 0;
+    for (const m of MIGRATIONS.filter(x => x.version > current)) {
+      tx(() => {
+        db.exec(m.sql);
+        db.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)', [m.version, m.name, new Date().toISOString()]);
+      });
+      console.log(`[db] sqlite migration ${m.version} applied (${m.name})`);
+    }
+  }
+
+  function write(rec) {
+    const now = new Date().toISOString();
+    // upsert keeps the rowid, so a record keeps its place in all()
+    db.run(
+      `INSERT INTO strains (id, name, code, data, updated_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET name = excluded.name, code = excluded.code, data = excluded.data, updated_at = excluded.updated_at`,
+      [rec.id, rec.name ?? null, rec.code ?? null, JSON.stringify(rec), now],
+    );
+    db.run('DELETE FROM strain_keys WHERE strain_id = ?', [rec.id]);
+    const keys = keyLists(indexKeys, rec);
+    for (const kind of KINDS) {
+      for (const key of new Set(keys[kind])) db.run('INSERT OR IGNORE INTO strain_keys (kind, key, strain_id) VALUES (?, ?, ?)', [kind, String(key), rec.id]);
+    }
+  }
+
+  const backup = createBackups(sqliteFile, persistence);
+  const saver = createSaver('sqlite', async () => {
+    await fs.mkdir(path.dirname(sqliteFile), { recursive: true });
+    await backup();
+    await writeFileAtomic(sqliteFile, db.export());
+  }, persistence);
+  const persist = () => saver.schedule();
+
+  async function importJsonOnce() {
+    if (one("SELECT value FROM meta WHERE key = 'json_import'")) return;
+    const arr = dataFile ? await readJsonArray(dataFile) : null;
+    let n = 0;
+    if (arr?.length && !one('SELECT 1 AS x FROM strains LIMIT 1')) {
+      // file order is newest first; insert oldest first so rowid order matches
+      tx(() => { for (const rec of arr.slice().reverse()) { write(migrate(rec)); n++; } });
+    }
+    db.run("INSERT INTO meta (key, value) VALUES ('json_import', ?)", [JSON.stringify({ from: dataFile, count: n, at: new Date().toISOString() })]);
+    if (n) console.log(`[db] imported ${n} strains from ${dataFile} into ${sqliteFile}`);
+  }
+
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+  return {
+    kind: 'sqlite',
+    location: sqliteFile,
+    async init() {
+      let SQL;
+      try {
+        const { default: initSqlJs } = await import('sql.js');
+        SQL = await initSqlJs();
+      } catch (e) {
+        throw new Error(`STORAGE_BACKEND=sqlite needs the sql.js package (${e?.message || e})`);
+      }
+      await fs.mkdir(dataDir, { recursive: true });
+      let bytes = null;
+      try { bytes = await fs.readFile(sqliteFile); } catch (e) { if (e?.code !== 'ENOENT') throw e; }
+      db = bytes ? new SQL.Database(bytes) : new SQL.Database();
+      try {
+        db.run('PRAGMA foreign_keys = ON');
+        runMigrations();
+      } catch (e) {
+        throw new Error(`${sqliteFile} is corrupt (${e?.message || e}). Restore it from ${sqliteFile}.bak.1 or move it aside.`);
+      }
+      await importJsonOnce();
+      persist();
+      await saver.flush();
+      console.log(`[db] sqlite ${sqliteFile}: ${this.count()} strains`);
+    },
+    all: () => many('SELECT data FROM strains ORDER BY rowid DESC').map(parse),
+    count: () => one('SELECT COUNT(*) AS n FROM strains').n,
+    findBy(kind, key) {
+      // newest record wins a shared key, as in the JSON adapter
+      return parse(one(
+        'SELECT s.data FROM strain_keys k JOIN strains s ON s.id = k.strain_id WHERE k.kind = ? AND k.key = ? ORDER BY s.rowid DESC LIMIT 1',
+        [kind, String(key)],
+      ));
+    },
+    put(rec) {
+      tx(() => write(rec));
+      persist();
+      return rec;
+    },
+    remove(id) {
+      const had = !!one('SELECT 1 AS x FROM strains WHERE id = ?', [id]);
+      if (had) { db.run('DELETE FROM strains WHERE id = ?', [id]); persist(); }
+      return had;
+    },
+    flush: () => saver.flush(),
+  };
+}
+
+export function createRepository(backend, opts) {
+  const b = String(backend || 'json').toLowerCase();
+  if (b === 'json') return createJsonRepository(opts);
+  if (b === 'sqlite') return createSqliteRepository(opts);
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected json or sqlite)`);
+}
@@ -0,0 +1,128 @@
+// COA golden files — every fixture through the extraction engine, compared field by field (ESM, offline)
+//
+//   npm test                                         run every fixture
+//   npm test -- percent-table                        only fixtures whose name contains this
+//   npm run test:record -- <file> [--name <name>] [--source-url <url>]
+//                                                    copy a local COA (.pdf, .html, .txt) in as a new fixture
+//   npm test -- --update                             re-record every expected file from the current engine
+//
+// Fixtures live in test/fixtures/coa/: the document (<name>.pdf | .html | .txt) and <name>.expected.json,
+// { sourceUrl, parseCoa, trulieve }. `parseCoa` is parseCoaText (parseCoa minus the download), `trulieve` is what
+// the trulieve provider returns (scrapeCoaText without the COA-signal check, the old scrapeTrulieveLabPdf).
+// Record, read the new expected file, and commit both only when the values are right.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { parseCoaText, scrapeCoaText, documentText, isPdfBuffer } = require('../coa-scraper.cjs');
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'coa');
+const DOC_EXT = ['.pdf', '.html', '.txt'];
+
+async function fixtureText(file) {
+  const buffer = await fs.readFile(file);
+  if (file.endsWith('.txt')) return buffer.toString('utf8');
+  return documentText({ type: file.endsWith('.pdf') || isPdfBuffer(buffer) ? 'pdf' : 'html', buffer });
+}
+
+// JSON round trip, so undefined fields compare the way they're stored
+async function run(file, sourceUrl) {
+  const text = await fixtureText(file);
+  const plain = (v) => JSON.parse(JSON.stringify(v ?? null));
+  return {
+    parseCoa: plain(parseCoaText(text, sourceUrl)),
+    trulieve: plain(scrapeCoaText(text, sourceUrl, { requireSignal: false })),
+  };
+}
+
+/** Nested value → { 'a.b[Name].c': scalar }; arrays of named rows are keyed by name so reordering reads as such */
+function flatten(v, prefix = '', out = {}) {
+  if (Array.isArray(v)) {
+    if (!v.length) out[prefix] = '[]';
+    v.forEach((x, i) => flatten(x, `${prefix}[${x && typeof x === 'object' && x.name != null ? x.name : i}]`, out));
+  } else if (v && typeof v === 'object') {
+    const keys = Object.keys(v);
+    if (!keys.length) out[prefix] = '{}';
+    for (const k of keys) flatten(v[k], prefix ? `${prefix}.${k}` : k, out);
+  } else {
+    out[prefix] = v;
+  }
+  return out;
+}
+
+function diff(expected, actual) {
+  const a = flatten(expected), b = flatten(actual);
+  const show = (x) => (x === undefined ? '(missing)' : JSON.stringify(x));
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].sort()
+    .filter(k => JSON.stringify(a[k]) !== JSON.stringify(b[k]))
+    .map(k => `${k}: ${show(a[k])} → ${show(b[k])}`);
+}
+
+async function fixtures(filter) {
+  const names = await fs.readdir(FIXTURES).catch(() => []);
+  return names.filter(n => DOC_EXT.includes(path.extname(n)) && (!filter || n.includes(filter))).sort()
+    .map(n => ({ doc: path.join(FIXTURES, n), expected: path.join(FIXTURES, `${path.basename(n, path.extname(n))}.expected.json`) }));
+}
+
+const writeExpected = (file, sourceUrl, out) => fs.writeFile(file, `${JSON.stringify({ sourceUrl, ...out }, null, 2)}\n`);
+
+async function record(src, { name, sourceUrl = null }) {
+  const ext = path.extname(src).toLowerCase();
+  if (!DOC_EXT.includes(ext)) throw new Error(`expected a ${DOC_EXT.join(' / ')} file: ${src}`);
+  const base = name || path.basename(src, ext).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const doc = path.join(FIXTURES, base + ext);
+  await fs.mkdir(FIXTURES, { recursive: true });
+  await fs.copyFile(src, doc);
+  const out = await run(doc, sourceUrl);
+  await writeExpected(path.join(FIXTURES, `${base}.expected.json`), sourceUrl, out);
+  console.log(`recorded ${path.relative(process.cwd(), doc)}: ${out.parseCoa?.strain ?? '?'}, THC ${out.parseCoa?.thc?.totalPercent ?? '—'}%, ${out.parseCoa?.terpeneProfile?.length ?? 0} terpenes`);
+  console.log('Check the .expected.json values before committing it.');
+}
+
+async function check({ filter, update }) {
+  const list = await fixtures(filter);
+  if (!list.length) throw new Error(`no fixtures${filter ? ` matching "${filter}"` : ''} in ${FIXTURES}`);
+  let failed = 0;
+  for (const f of list) {
+    const name = path.basename(f.doc);
+    let expected;
+    try { expected = JSON.parse(await fs.readFile(f.expected, 'utf8')); } catch (e) {
+      failed++;
+      console.log(`✗ ${name}: no readable ${path.basename(f.expected)} (${e.code || e.message}); record it first`);
+      continue;
+    }
+    const { sourceUrl = null, ...want } = expected;
+    const got = await run(f.doc, sourceUrl);
+    if (update) {
+      await writeExpected(f.expected, sourceUrl, got);
+      console.log(`↻ ${name}`);
+      continue;
+    }
+    const lines = diff(want, got);
+    if (!lines.length) { console.log(`✓ ${name}`); continue; }
+    failed++;
+    console.log(`✗ ${name} (expected → actual)`);
+    for (const l of lines) console.log(`    ${l}`);
+  }
+  console.log(`${list.length} fixtures, ${update ? 'updated' : `${failed} failed`}`);
+  return failed;
+}
+
+const args = process.argv.slice(2);
+const opt = (flag) => { const i = args.indexOf(flag); return i >= 0 ? args.splice(i, 2)[1] : undefined; };
+try {
+  const recordFile = opt('--record');
+  if (recordFile) {
+    await record(recordFile, { name: opt('--name'), sourceUrl: opt('--source-url') });
+  } else {
+    const update = args.includes('--update');
+    const failed = await check({ filter: args.find(a => !a.startsWith('--')), update });
+    process.exitCode = failed ? 1 : 0;
+  }
+} catch (e) {
+  console.error(e?.message || e);
+  process.exitCode = 1;
+}
@@ -0,0 +1,92 @@
+// Worker pool — fixed-size worker_threads pool with a FIFO task queue (ESM)
+//
+//   const pool = createWorkerPool(new URL('./scan-worker.js', import.meta.url), { size });
+//   const result = await pool.run(task, { signal, timeoutMs, onProgress });
+//
+// Worker protocol: receives { id, task }; posts { id, progress } any number of times, then { id, result } or { id, error }.
+// Workers start on first use. A crashed worker fails only its own task and is replaced. A task past `timeoutMs`
+// gets its worker terminated (the only way to stop synchronous work). An aborted `signal` drops a task that is
+// still queued; a running task should watch its own stop flag.
+
+import { Worker } from 'worker_threads';
+import os from 'os';
+
+export const defaultPoolSize = () => Math.max(1, (os.availableParallelism?.() ?? os.cpus().length) || 1);
+
+const abortError = () => Object.assign(new Error('Aborted'), { name: 'AbortError' });
+
+export function createWorkerPool(file, { size = defaultPoolSize(), name = 'pool' } = {}) {
+  const slots = [];
+  const queue = [];
+  let nextId = 1;
+
+  function spawn(slot) {
+    const worker = new Worker(file);
+    slot.worker = worker;
+    worker.on('message', (m) => {
+      const t = slot.task;
+      if (slot.worker !== worker || !t || m?.id !== t.id) return;
+      if ('progress' in m) return t.onProgress?.(m.progress);
+      settle(slot, m.error ? new Error(m.error) : null, m.result);
+    });
+    worker.on('error', (e) => {
+      if (slot.worker !== worker) return;
+      console.warn(`[${name}] worker crashed:`, e?.message || e);
+      replace(slot, e);
+    });
+    worker.on('exit', (code) => {
+      if (slot.worker === worker) replace(slot, new Error(`worker exited (${code})`));
+    });
+  }
+
+  function replace(slot, err) {
+    const old = slot.worker;
+    slot.worker = null;
+    old?.terminate().catch(() => {});
+    if (slot.task) settle(slot, err);
+    spawn(slot);
+    pump();
+  }
+
+  function settle(slot, err, result) {
+    const t = slot.task;
+    slot.task = null;
+    clearTimeout(t.timer);
+    t.signal?.removeEventListener('abort', t.onAbort);
+    if (err) t.reject(err); else t.resolve(result);
+    pump();
+  }
+
+  function pump() {
+    while (slots.length < size) { const slot = { worker: null, task: null }; slots.push(slot); spawn(slot); }
+    for (const slot of slots) {
+      if (slot.task || !slot.worker || !queue.length) continue;
+      const t = queue.shift();
+      slot.task = t;
+      if (t.timeoutMs) t.timer = setTimeout(() => replace(slot, new Error(`${name} task timed out after ${t.timeoutMs}ms`)), t.timeoutMs);
+      slot.worker.postMessage({ id: t.id, task: t.task });
+    }
+  }
+
+  return {
+    size,
+    run(task, { signal, timeoutMs, onProgress } = {}) {
+      if (signal?.aborted) return Promise.reject(abortError());
+      return new Promise((resolve, reject) => {
+        const t = { id: nextId++, task, resolve, reject, timeoutMs, onProgress, signal };
+        t.onAbort = () => {
+          const i = queue.indexOf(t);
+          if (i >= 0) { queue.splice(i, 1); reject(abortError()); }
+        };
+        signal?.addEventListener('abort', t.onAbort, { once: true });
+        queue.push(t);
+        pump();
+      });
+    },
+    stats: () => ({ size, busy: slots.filter(s => s.task).length, queued: queue.length }),
+    async destroy() {
+      for (const t of queue.splice(0)) t.reject(abortError());
+      await Promise.all(slots.splice(0).map(s => { const w = s.worker; s.worker = null; return w?.terminate(); }));
+    },
+  };
+}